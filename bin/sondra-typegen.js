@@ -0,0 +1,28 @@
+#!/usr/bin/env node
+/**
+ * Generate TypeScript definitions from the schemas of a Sondra suite.  See src/typegen.js.
+ *
+ * This loads the compiled modules in lib/, which <pre>npm run build:cli</pre> writes before publishing.
+ */
+var fs = require('fs');
+var Promise = require('bluebird');
+var Sondra = require('../lib/sondra.js').Sondra;
+var nodeTransport = require('../lib/transport.js').nodeTransport;
+var runCli = require('../lib/typegen.js').runCli;
+
+var readFile = Promise.promisify(fs.readFile);
+var writeFile = Promise.promisify(fs.writeFile);
+
+runCli(process.argv.slice(2), {
+  readFile: function(name) { return readFile(name, 'utf8'); },
+  writeFile: function(name, text) { return writeFile(name, text, 'utf8'); },
+  print: function(text) { process.stdout.write(text + '\n'); },
+  suite: function(url) {
+    return new Sondra().suite(url.protocol, url.host, url.port, url.basePath).transport(nodeTransport());
+  }
+}).then(function(status) {
+  process.exitCode = status;
+}, function(err) {
+  process.stderr.write('sondra-typegen: ' + err.message + '\n');
+  process.exitCode = 1;
+});
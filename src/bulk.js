@@ -0,0 +1,94 @@
+/**
+ * Bulk writes to a collection, with a result reported for each item.
+ *
+ * By default each item is written with its own request (createDocument, patchDocument,
+ * replaceDocument or deleteDocument), with at most <pre>concurrency</pre> requests in flight.  If the
+ * <pre>endpoint</pre> option is set, the whole batch is instead sent to the collection in one request:
+ * <pre>{documents: [...]}</pre> for creates, replaces and patches (each document carrying its primary
+ * key) and <pre>{keys: [...]}</pre> for deletes.  The server should answer with one result per item, in
+ * order, where a result with an <pre>error</pre> property is a failure, as is an item the response has
+ * no result for.  If the server answers that it has no such endpoint (404, 405 or 501), the batch
+ * falls back to individual requests.
+ *
+ * Options come from the <pre>bulk</pre> map on the context and can be overridden per call:
+ * <pre>{concurrency, endpoint, primaryKey}</pre>.
+ *
+ * Every bulk operation resolves, even if every item fails, to a report:
+ * <pre>{results, succeeded, failed}</pre>, where each result is <pre>{index, key, ok, data}</pre> or
+ * <pre>{index, key, ok, error}</pre>.
+ *
+ * @example
+ * tickets.bulkCreate(rows, {concurrency: 8}).then(({succeeded, failed}) => { ... });
+ * tickets.bulkPatch({t1: {status: 'closed'}, t2: {status: 'closed'}});
+ * tickets.bulkDelete(['t3', 't4']);
+ */
+import _ from 'lodash';
+import Promise from 'bluebird';
+
+const UNSUPPORTED_STATUSES = [404, 405, 501];
+
+const report = (results) => ({
+  results,
+  succeeded: _.filter(results, 'ok'),
+  failed: _.reject(results, 'ok')
+});
+
+/**
+ * Normalize {key: value} objects and lists of [key, value] pairs to a list of {key, value}.
+ */
+export const keyedItems = (pairs) => (_.isArray(pairs) ?
+  _.map(pairs, ([key, value]) => ({key, value})) :
+  _.map(pairs, (value, key) => ({key, value})));
+
+function fanOut(items, sendOne, concurrency) {
+  return Promise.map(items, (item, index) => Promise.try(() => sendOne(item)).then(
+    (data) => ({index, key: item.key, ok: true, data}),
+    (error) => ({index, key: item.key, ok: false, error})
+  ), {concurrency}).then(report);
+}
+
+function viaEndpoint(context, requestMethod, body, items) {
+  return context.call({requestMethod, body}).then((rsp) => report(_.map(items, ({key}, index) => {
+    if(!_.isArray(rsp) || index >= rsp.length) {
+      return {index, key, ok: false, error: new Error(`The bulk response had no result for item ${index}`)};
+    } else if(_.has(rsp[index], 'error')) {
+      return {index, key, ok: false, error: rsp[index].error};
+    } else {
+      return {index, key, ok: true, data: rsp[index]};
+    }
+  })));
+}
+
+/**
+ * Write a batch of items to a collection.
+ *
+ * @param  {Sondra} context - The collection.
+ * @param  {string} requestMethod - The HTTP method for the bulk endpoint.
+ * @param  {Array} items - <pre>{key, value}</pre> objects.
+ * @param  {function(object)} sendOne - Writes a single item, returning a promise.
+ * @param  {function(Array, string)} endpointBody - Builds the body for the bulk endpoint from the items and primary key.
+ * @param  {object} options - Overrides for the context's bulk options.
+ * @return {Promise} - Resolves to a report.
+ */
+export function bulkWrite(context, requestMethod, items, sendOne, endpointBody, options = {}) {
+  const { concurrency, endpoint, primaryKey } = _.assign(context.get('bulk').toJS(), options);
+  const individually = () => fanOut(items, sendOne, concurrency);
+
+  if(!endpoint) {
+    return individually();
+  }
+
+  return viaEndpoint(context, requestMethod, endpointBody(items, primaryKey), items).catch((err) => {
+    if(_.contains(UNSUPPORTED_STATUSES, err.status)) {
+      return individually();
+    }
+    return report(_.map(items, ({key}, index) => ({index, key, ok: false, error: err})));
+  });
+}
+
+/**
+ * The documents of a batch, each with its primary key set.
+ */
+export const withPrimaryKeys = (items, primaryKey) => ({
+  documents: _.map(items, ({key, value}) => _.assign({}, value, {[primaryKey]: key}))
+});
@@ -0,0 +1,118 @@
+/**
+ * An opt-in cache for the responses to GET calls.
+ *
+ * Turn it on for a context and everything derived from it with <pre>.caching({maxEntries, ttl})</pre>.
+ * Responses are keyed by the full request URL, which includes the query.  Within the TTL a cached
+ * response is returned without touching the network.  After that, if the server sent an ETag, the
+ * request is revalidated with If-None-Match and a 304 response refreshes the cached entry.
+ *
+ * Writing to a document through call() or robustCall() (and so through createDocument,
+ * replaceDocument, patchDocument and deleteDocument) invalidates the cached document, its methods,
+ * and the listings of its collection.  Writing to a collection itself, as the bulk endpoint does,
+ * invalidates everything cached for the collection.  <pre>context.invalidate()</pre> drops everything
+ * cached at or below a context.
+ *
+ * @example
+ * var core = suite.app('core').caching({maxEntries: 500, ttl: 30000});
+ * core.collection('tickets').fetchDocument(id);  // hits the network
+ * core.collection('tickets').fetchDocument(id);  // served from the cache
+ */
+import { OrderedMap } from 'immutable';
+import _ from 'lodash';
+
+const DEFAULT_MAX_ENTRIES = 100;
+const DEFAULT_TTL_MILLISEC = 60000;
+
+/**
+ * The path of a resource URL, without the ;format parameters or the query string.
+ */
+export const resourcePath = (url) => url.split(/[;?]/)[0];
+
+/**
+ * An LRU cache of responses.
+ *
+ * @param {object} options - <pre>{maxEntries, ttl}</pre>. ttl is in milliseconds.
+ */
+export class ResponseCache {
+  constructor({maxEntries = DEFAULT_MAX_ENTRIES, ttl = DEFAULT_TTL_MILLISEC} = {}) {
+    this.maxEntries = maxEntries;
+    this.ttl = ttl;
+    this.entries = OrderedMap();
+  }
+
+  /**
+   * Find a cached response and mark it as the most recently used.
+   *
+   * @param  {string} key - The request URL.
+   * @return {object} - <pre>{data, etag, expires, path}</pre>, or undefined.
+   */
+  lookup(key) {
+    const entry = this.entries.get(key);
+    if(entry) {
+      this.entries = this.entries.delete(key).set(key, entry);
+    }
+    return entry;
+  }
+
+  isFresh(entry) {
+    return entry.expires > Date.now();
+  }
+
+  /**
+   * Cache a response, evicting the least recently used entries if the cache is full.
+   *
+   * @return {any} - The data, for convenience in promise chains.
+   */
+  store(key, data, etag = null) {
+    this.entries = this.entries.delete(key).set(key, {data, etag, expires: Date.now() + this.ttl, path: resourcePath(key)});
+    while(this.entries.size > this.maxEntries) {
+      this.entries = this.entries.delete(this.entries.keySeq().first());
+    }
+    return data;
+  }
+
+  /**
+   * The server answered 304 Not Modified: extend the life of the entry and return its data.
+   *
+   * @param {string} key - The request URL.
+   * @param {object} entry - The entry that was revalidated, as returned by lookup.  It is cached again
+   *                         even if it was evicted or invalidated while the request was in flight.
+   */
+  revalidated(key, entry) {
+    return this.store(key, entry.data, entry.etag);
+  }
+
+  /**
+   * Remove cached responses for a resource.
+   *
+   * @param {string} url - Optional. The URL of a resource.  If omitted, the whole cache is cleared.
+   * @param {boolean} recursive - If true (the default), resources below this one (documents in a
+   *                              collection, methods of a document, and so on) are removed too.
+   */
+  invalidate(url = null, recursive = true) {
+    if(url === null) {
+      this.entries = OrderedMap();
+      return;
+    }
+    const path = resourcePath(url);
+    this.entries = this.entries.filterNot(
+      (entry) => entry.path === path || (recursive && (_.startsWith(entry.path, `${path}/`) || _.startsWith(entry.path, `${path}.`))));
+  }
+
+  /**
+   * Invalidate whatever a write to the context's document or collection could have changed.
+   *
+   * @param {Sondra} context - The context of a request.  GET requests change nothing.
+   */
+  invalidateWrite(context) {
+    const { requestMethod, collection, document, method } = context.toObject();
+    if(requestMethod === 'GET' || method) {
+      return;
+    } else if(document) {
+      this.invalidate(context.get('url'));
+      this.invalidate(context.set('document', null).calculateUrl().get('url'), false);
+    } else if(collection) {
+      this.invalidate(context.get('url'));
+    }
+  }
+}
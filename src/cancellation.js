@@ -0,0 +1,144 @@
+/**
+ * Cancellation and timeouts for Sondra requests.
+ *
+ * Every request accepts a <pre>signal</pre> and a <pre>timeout</pre> (in milliseconds) in its context or
+ * transient context.  The signal may be a DOM AbortSignal or a CancelToken.  When the signal aborts
+ * or the timeout elapses, the in-flight fetch is aborted (where the runtime supports
+ * AbortController), any retry or ping loop stops, and the request rejects with a CancelledError.
+ *
+ * @example
+ * const token = new CancelToken();
+ * tickets.robustCall({signal: token});
+ * ...
+ * token.cancel();  // the robustCall promise rejects with a CancelledError.
+ *
+ * tickets.call({timeout: 5000}).catch((err) => { if(err instanceof CancelledError) { ... } });
+ */
+import _ from 'lodash';
+import Promise from 'bluebird';
+import { CancelledError, asNetworkError } from './errors.js';
+import { defaultTransport } from './transport.js';
+
+/**
+ * An AbortSignal-like object that aborts when cancel() is called, when an upstream signal aborts, or
+ * when a timeout elapses.
+ *
+ * @param {AbortSignal|CancelToken} signal - Optional. An upstream signal to follow.
+ * @param {number} timeout - Optional. Milliseconds after which the token cancels itself.
+ */
+export class CancelToken {
+  constructor(signal = null, timeout = null) {
+    this.aborted = false;
+    this.reason = null;
+    this.listeners = [];
+    this.timer = null;
+    this.signal = null;
+    this.follow = null;
+
+    if(signal && signal.aborted) {
+      this.cancel(signal.reason === 'timeout' ? 'timeout' : 'aborted');
+    } else if(signal) {
+      this.signal = signal;
+      this.follow = () => this.cancel(signal.reason === 'timeout' ? 'timeout' : 'aborted');
+      signal.addEventListener('abort', this.follow);
+    }
+
+    if(!this.aborted && timeout !== null && timeout !== undefined) {
+      this.timer = setTimeout(() => this.cancel('timeout'), timeout);
+    }
+  }
+
+  cancel(reason = 'aborted') {
+    if(this.aborted) {
+      return;
+    }
+    this.aborted = true;
+    this.reason = reason;
+    this.dispose();
+    _.forEach(this.listeners, (listener) => listener());
+    this.listeners = [];
+  }
+
+  addEventListener(event, listener) {
+    if(event === 'abort') {
+      this.listeners.push(listener);
+    }
+  }
+
+  removeEventListener(event, listener) {
+    this.listeners = _.without(this.listeners, listener);
+  }
+
+  /**
+   * Stop the timeout and stop following the upstream signal, for example because the request has
+   * finished.
+   */
+  dispose() {
+    if(this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+    if(this.signal) {
+      this.signal.removeEventListener('abort', this.follow);
+      this.signal = null;
+      this.follow = null;
+    }
+  }
+}
+
+/**
+ * A CancelToken for a signal and timeout, or null if there is neither.
+ */
+export const cancellationFor = (signal, timeout) =>
+  (signal || (timeout !== null && timeout !== undefined) ? new CancelToken(signal, timeout) : null);
+
+/**
+ * Reject with a CancelledError if the token aborts before the promise settles.
+ *
+ * @param  {Promise} promise - The work to race against cancellation.
+ * @param  {CancelToken} token - Optional.
+ * @param  {string} url - The URL to name in the error.
+ */
+export function raceCancellation(promise, token, url) {
+  if(!token) {
+    return Promise.resolve(promise);
+  } else if(token.aborted) {
+    return Promise.reject(new CancelledError(url, token.reason));
+  }
+  return new Promise((resolve, reject) => {
+    const abort = () => reject(new CancelledError(url, token.reason));
+    token.addEventListener('abort', abort);
+    Promise.resolve(promise)
+      .finally(() => token.removeEventListener('abort', abort))
+      .then(resolve, reject);
+  });
+}
+
+/**
+ * Send a request through a transport, aborting it if the token aborts.  Anything the transport
+ * rejects with becomes a NetworkError.
+ *
+ * @param {function(string, object)} [transport=defaultTransport()] - See transport.js.
+ */
+export function cancellableFetch(url, options, token, transport = defaultTransport()) {
+  const send = (fetchOptions) => Promise.try(() => transport(url, fetchOptions))
+    .catch((err) => Promise.reject(asNetworkError(err, {url, method: options.method || 'GET'})));
+  if(!token) {
+    return send(options);
+  } else if(token.aborted) {
+    return Promise.reject(new CancelledError(url, token.reason));
+  }
+  if(typeof AbortController === 'undefined') {
+    return raceCancellation(send(options), token, url);
+  }
+  const controller = new AbortController();
+  const abort = () => controller.abort();
+  token.addEventListener('abort', abort);
+  return raceCancellation(send(_.assign({}, options, {signal: controller.signal})), token, url)
+    .finally(() => token.removeEventListener('abort', abort));
+}
+
+/**
+ * Wait, unless the token aborts first.
+ */
+export const cancellableDelay = (ms, token, url) => raceCancellation(Promise.delay(ms), token, url);
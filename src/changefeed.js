@@ -0,0 +1,141 @@
+/**
+ * Websocket subscriptions to the Sondra changefeed of a collection or document.
+ *
+ * A subscription opens a socket to the same URL as the HTTP resource (with ws:// or wss:// in place
+ * of http:// or https://) and sends a subscribe message carrying the context's headers, the query,
+ * and the sequence number of the last change seen so that the server can resume the feed after a
+ * reconnect.  The server answers with RethinkDB-style changes, <pre>{seq, old_val, new_val}</pre>.
+ *
+ * @example
+ * var sub = tickets.subscribe(new QuerySet().eq('status', 'open'), {
+ *   insert: ({newValue}) => { ... },
+ *   update: ({oldValue, newValue}) => { ... },
+ *   delete: ({oldValue}) => { ... },
+ * });
+ * ...
+ * sub.close();
+ */
+import _ from 'lodash';
+import { globalObject } from './transport.js';
+
+/**
+ * Classify a change from the server and give its values friendlier names.
+ *
+ * @param  {object} change - <pre>{seq, old_val, new_val}</pre>
+ * @return {object} - <pre>{type, seq, oldValue, newValue}</pre> where type is 'insert', 'update' or 'delete'.
+ */
+export function changeEvent(change) {
+  const oldValue = _.has(change, 'old_val') ? change.old_val : null;
+  const newValue = _.has(change, 'new_val') ? change.new_val : null;
+  let type = 'update';
+  if(oldValue === null) {
+    type = 'insert';
+  } else if(newValue === null) {
+    type = 'delete';
+  }
+  return {type, seq: _.has(change, 'seq') ? change.seq : null, oldValue, newValue};
+}
+
+/**
+ * The http(s) URL of a resource as the matching ws(s) URL.
+ */
+export const socketUrl = (url) => url.replace(/^http/, 'ws');
+
+/**
+ * An open changefeed.  Created by <pre>Sondra.subscribe</pre>; there is rarely a need to make one directly.
+ *
+ * Handlers is an object with any of the following:
+ *
+ * * insert, update, delete - function(event). Called for changes of that type.
+ * * change - function(event). Called for every change.
+ * * open - function(). Called whenever the socket (re)connects.
+ * * close - function(closeEvent). Called whenever the socket closes.
+ * * error - function(error). Called for socket errors and for errors reported by the server.
+ *
+ * @param {string} url - The ws(s) URL of the resource.
+ * @param {object} message - The subscribe message, not including the resume point.
+ * @param {object} handlers - See above.
+ * @param {object} options - <pre>{reconnectDelay, maxReconnectDelay, WebSocket}</pre>
+ */
+export class Subscription {
+  constructor(url, message, handlers = {}, options = {}) {
+    this.url = url;
+    this.message = message;
+    this.handlers = handlers;
+    this.reconnectDelay = options.reconnectDelay;
+    this.maxReconnectDelay = options.maxReconnectDelay;
+    this.WebSocket = options.WebSocket || globalObject.WebSocket;
+    this.seq = null;
+    this.attempts = 0;
+    this.closed = false;
+    this.socket = null;
+    this.timer = null;
+    this._connect();
+  }
+
+  _emit(name, ...args) {
+    if(_.isFunction(this.handlers[name])) {
+      this.handlers[name](...args);
+    }
+  }
+
+  _connect() {
+    const socket = new this.WebSocket(this.url);
+    this.socket = socket;
+
+    socket.onopen = () => {
+      this.attempts = 0;
+      const resume = this.seq === null ? {} : {resume: this.seq};
+      socket.send(JSON.stringify(_.assign({}, this.message, resume)));
+      this._emit('open');
+    };
+
+    socket.onmessage = ({data}) => {
+      let msg;
+      try {
+        msg = JSON.parse(data);
+      } catch(error) {
+        return this._emit('error', error);
+      }
+
+      if(_.has(msg, 'error')) {
+        this._emit('error', msg.error);
+      } else if(_.has(msg, 'old_val') || _.has(msg, 'new_val')) {
+        const event = changeEvent(msg);
+        if(event.seq !== null) {
+          this.seq = event.seq;
+        }
+        this._emit(event.type, event);
+        this._emit('change', event);
+      }
+    };
+
+    socket.onerror = (error) => { this._emit('error', error); };
+
+    socket.onclose = (closeEvent) => {
+      this._emit('close', closeEvent);
+      if(!this.closed) {  // the connection dropped rather than being closed by us, so reconnect.
+        const delay = Math.min(this.reconnectDelay * Math.pow(2, this.attempts), this.maxReconnectDelay);
+        this.attempts += 1;
+        this.timer = setTimeout(() => {
+          this.timer = null;
+          this._connect();
+        }, delay);
+      }
+    };
+  }
+
+  /**
+   * Stop listening for changes.  The subscription does not reconnect after this.
+   */
+  close() {
+    this.closed = true;
+    if(this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+    if(this.socket) {
+      this.socket.close();
+    }
+  }
+}
@@ -0,0 +1,107 @@
+/**
+ * Coalescing of identical GET requests that are in flight at the same time.
+ *
+ * Every suite keeps a registry of the GET requests it has in flight.  When call() makes a GET
+ * request with the same URL (which includes the query) and headers as one already in flight, and sends
+ * it through the same transport and middleware, it waits for that request instead of sending another.
+ * Middleware such as an AuthSession (see session.js) adds credentials only once the request is under
+ * way, so requests with different middleware never share.  Every caller receives its own copy of the data.
+ * Pass <pre>{coalesce: false}</pre> in the transient context, or set it on a context, to always send.
+ *
+ * Cancelling one caller (see cancellation.js) rejects only that caller's promise.  The shared request
+ * is aborted only once every caller waiting on it has cancelled.
+ *
+ * @example
+ * Promise.all([tickets.call(), tickets.call()]);  // one request
+ * tickets.call({coalesce: false});                 // always its own request
+ */
+import _ from 'lodash';
+import Promise from 'bluebird';
+import { CancelToken, raceCancellation } from './cancellation.js';
+import { CancelledError } from './errors.js';
+
+// Functions have no printable identity, so each transport and middleware is numbered the first time it is seen.
+const ids = new WeakMap();
+let lastId = 0;
+const idOf = (fn) => {
+  if(!ids.has(fn)) {
+    lastId += 1;
+    ids.set(fn, lastId);
+  }
+  return ids.get(fn);
+};
+
+// Plain data is copied for each caller, so that one caller changing it does not change another's.
+const copyOf = (data) => (_.isArray(data) || _.isPlainObject(data) ? _.cloneDeep(data) : data);
+
+/**
+ * The GET requests in flight for a suite.
+ */
+export class InFlightRequests {
+  constructor() {
+    this.requests = {};
+  }
+
+  /**
+   * The key that identical requests share.
+   *
+   * @param  {object} request - <pre>{url, options}</pre>, as returned by _prepareRequest.
+   * @param  {Sondra} context - Optional. The context sending the request, whose transport and middleware are part of the key.
+   */
+  key({url, options}, context = null) {
+    const pipeline = context ? [context.get('transport')].concat(context.get('middleware').toArray()) : [];
+    return `${url} ${JSON.stringify(options.headers || {})} ${_.map(pipeline, (fn) => (fn ? idOf(fn) : 0)).join(',')}`;
+  }
+
+  /**
+   * The number of distinct requests in flight.
+   */
+  size() {
+    return Object.keys(this.requests).length;
+  }
+
+  /**
+   * Wait for the identical request in flight, or start it if there is none.
+   *
+   * @param  {string} key - See key().
+   * @param  {function(CancelToken)} start - Starts the request, returning a promise.  The token it is
+   *                                         given aborts once every caller has cancelled.
+   * @param  {CancelToken} token - Optional. The caller's token.
+   * @param  {string} url - The URL to name in a CancelledError.
+   * @return {Promise} - Settles as the shared request does, with a copy of its data, or rejects when the caller's token aborts.
+   */
+  join(key, start, token, url) {
+    if(token && token.aborted) {
+      return Promise.reject(new CancelledError(url, token.reason));
+    }
+
+    let entry = this.requests[key];
+    if(!entry) {
+      entry = {callers: 0, token: new CancelToken()};
+      this.requests[key] = entry;
+      entry.promise = Promise.try(() => start(entry.token)).finally(() => this._forget(key, entry));
+    }
+    entry.callers += 1;
+
+    const shared = entry.promise.then(copyOf);
+    if(!token) {
+      return shared;
+    }
+
+    const leave = () => {
+      entry.callers -= 1;
+      if(entry.callers === 0 && this.requests[key] === entry) {
+        this._forget(key, entry);
+        entry.token.cancel(token.reason);
+      }
+    };
+    token.addEventListener('abort', leave);
+    return raceCancellation(shared, token, url).finally(() => token.removeEventListener('abort', leave));
+  }
+
+  _forget(key, entry) {
+    if(this.requests[key] === entry) {
+      delete this.requests[key];
+    }
+  }
+}
@@ -0,0 +1,58 @@
+/**
+ * Connectivity detectors: how robustCall decides whether the server can be reached before it sends
+ * a request.
+ *
+ * A detector is a function <pre>(ping, url)</pre> that returns a promise which resolves if the server
+ * can be reached and rejects with a NetworkError if not.  <pre>ping()</pre> sends a HEAD request to the
+ * <pre>robust.pingPath</pre> of the suite through the context's transport; <pre>url</pre> is its URL.  Set a
+ * detector for a context and everything derived from it with <pre>.connectivity(detector)</pre>.  Contexts
+ * without one use defaultConnectivity().
+ *
+ * @example
+ * const worker = suite.transport(nodeTransport()).connectivity(pingConnectivity());
+ * const fromCordova = suite.connectivity(navigatorConnectivity(window.navigator));
+ */
+import Promise from 'bluebird';
+import { NetworkError } from './errors.js';
+import { globalObject } from './transport.js';
+
+/**
+ * Whether the navigator reports that there is no network.  Understands navigator.onLine, the Network
+ * Information API and Cordova's network-information plugin.
+ */
+function reportsOffline(navigator) {
+  if(!navigator) {
+    return false;
+  } else if(navigator.onLine === false) {
+    return true;
+  } else if(navigator.connection && navigator.connection.type !== undefined) {
+    const none = globalObject.Connection ? globalObject.Connection.NONE : false;
+    return navigator.connection.type === none || navigator.connection.type === 'none';
+  }
+  return false;
+}
+
+/**
+ * Ping the server every time.
+ */
+export const pingConnectivity = () => (ping) => ping();
+
+/**
+ * Never check.  For environments that are always connected, and for tests.
+ */
+export const alwaysOnline = () => () => Promise.resolve();
+
+/**
+ * Fail at once if the navigator reports no network, otherwise ping the server.
+ *
+ * @param {Navigator} navigator - Optional. The navigator to ask. By default, the global navigator at the time of each check.
+ */
+export const navigatorConnectivity = (navigator = null) => (ping, url) => (
+  reportsOffline(navigator || globalObject.navigator) ? Promise.reject(new NetworkError({url, method: 'HEAD'})) : ping());
+
+/**
+ * The detector for contexts that have none: navigatorConnectivity where there is a navigator, otherwise pingConnectivity.
+ */
+export function defaultConnectivity() {
+  return globalObject.navigator ? navigatorConnectivity() : pingConnectivity();
+}
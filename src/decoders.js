@@ -0,0 +1,203 @@
+/**
+ * Response decoders: how the body of a successful response becomes the value a call resolves to.
+ *
+ * A decoder is chosen by the format the context requested (<pre>format(name)</pre>, which sets the
+ * <pre>;format=</pre> URL parameter), unless that is the default, 'json'.  Otherwise, or if no decoder
+ * handles the format, it is chosen by the response's Content-Type, so that methods answering with
+ * text or files are decoded as such.  If neither has a decoder, the body is decoded as JSON.  The
+ * built-in decoders are:
+ *
+ * * json - format 'json', application/json.
+ * * schema - format 'schema', application/schema+json.
+ * * geojson - format 'geojson', application/geo+json.  A GeoJSON object (see geom.js).
+ * * csv - format 'csv', text/csv.  A list of row objects keyed by the header row; values are strings.
+ * * ndjson - format 'ndjson', application/x-ndjson.  A list of the JSON values, one per line.
+ * * text - format 'text', text/plain and any other text/ type.  A string.
+ * * blob - format 'blob', application/octet-stream, images, audio, video, PDF and zip.  A Blob where
+ *   the runtime has them, otherwise an ArrayBuffer.
+ *
+ * Decoders for other formats can be registered for every context on <pre>defaultDecoders</pre>, or for a
+ * context and everything derived from it with <pre>.decoder(name, spec)</pre>.  Error responses are
+ * always read as JSON, for their message (see errors.js).
+ *
+ * @example
+ * suite.app('core').collection('tickets').format('csv').call();  // [{id: 't1', status: 'open'}, ...]
+ * const withXml = suite.decoder('xml', {contentTypes: ['application/xml'], decode: (rsp) => rsp.text().then(parseXml)});
+ */
+import { OrderedMap } from 'immutable';
+import _ from 'lodash';
+import Promise from 'bluebird';
+
+/**
+ * Parse CSV text (RFC 4180) into rows of fields.  Fields may be quoted, and quoted fields may contain
+ * the delimiter, newlines and doubled quotes.  Blank lines are skipped.
+ *
+ * @param  {string} text - The CSV.
+ * @param  {object} options - <pre>{delimiter}</pre>. Defaults to ','.
+ * @return {Array} - A list of rows, each a list of strings.
+ */
+export function parseCsv(text, {delimiter = ','} = {}) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  const endRow = () => {
+    row.push(field);
+    if(row.length > 1 || row[0] !== '') {
+      rows.push(row);
+    }
+    row = [];
+    field = '';
+  };
+
+  for(let i = 0; i < text.length; i++) {
+    const c = text[i];
+    if(quoted) {
+      if(c === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if(c === '"') {
+        quoted = false;
+      } else {
+        field += c;
+      }
+    } else if(c === '"' && field === '') {
+      quoted = true;
+    } else if(c === delimiter) {
+      row.push(field);
+      field = '';
+    } else if(c === '\n' || c === '\r') {
+      if(c === '\r' && text[i + 1] === '\n') {
+        i++;
+      }
+      endRow();
+    } else {
+      field += c;
+    }
+  }
+  if(field !== '' || row.length) {
+    endRow();
+  }
+  return rows;
+}
+
+/**
+ * Parse CSV text with a header row into a list of objects keyed by the header.
+ */
+export function csvObjects(text, options = {}) {
+  const [header, ...rows] = parseCsv(text, options);
+  return _.map(rows, (row) => _.zipObject(header, row));
+}
+
+/**
+ * Parse newline-delimited JSON into a list of values.  Blank lines are skipped.
+ */
+export function parseNdjson(text) {
+  return _.map(_.filter(text.split(/\r?\n/), (line) => line.trim() !== ''), (line) => JSON.parse(line));
+}
+
+const asJson = (rsp) => rsp.json();
+const asText = (rsp) => rsp.text();
+const asBinary = (rsp) => (_.isFunction(rsp.blob) ? rsp.blob() : rsp.arrayBuffer());
+
+const builtins = OrderedMap({
+  json: {formats: ['json'], contentTypes: ['application/json'], decode: asJson},
+  schema: {formats: ['schema'], contentTypes: ['application/schema+json'], decode: asJson},
+  geojson: {formats: ['geojson'], contentTypes: ['application/geo+json', 'application/vnd.geo+json'], decode: asJson},
+  csv: {formats: ['csv'], contentTypes: ['text/csv'], decode: (rsp) => Promise.resolve(rsp.text()).then(csvObjects)},
+  ndjson: {
+    formats: ['ndjson', 'jsonl'],
+    contentTypes: ['application/x-ndjson', 'application/ndjson', 'application/jsonl'],
+    decode: (rsp) => Promise.resolve(rsp.text()).then(parseNdjson)
+  },
+  text: {formats: ['text', 'txt'], contentTypes: ['text/plain', 'text/*'], decode: asText},
+  blob: {
+    formats: ['blob', 'binary'],
+    contentTypes: ['application/octet-stream', 'application/pdf', 'application/zip', 'image/*', 'audio/*', 'video/*'],
+    decode: asBinary
+  }
+});
+
+// The media type of a Content-Type header, without parameters.
+const mediaType = (contentType) => (contentType ? contentType.split(';')[0].trim().toLowerCase() : null);
+
+/**
+ * A set of named decoders.
+ *
+ * A decoder spec is <pre>{formats, contentTypes, decode}</pre>: the formats it is chosen for
+ * (default: its name), the Content-Types it is chosen for (a type like 'image/*' matches any
+ * subtype, and exact types win over these), and <pre>decode(response, context)</pre>, which returns
+ * the decoded value or a promise of it.
+ *
+ * @param {OrderedMap} decoders - Optional. The decoders to start with.  Defaults to the built-in ones.
+ */
+export class DecoderRegistry {
+  constructor(decoders = builtins) {
+    this.decoders = decoders;
+  }
+
+  /**
+   * Add a decoder, replacing any with the same name.
+   *
+   * @param  {string} name - The decoder's name.
+   * @param  {object|function} spec - A decoder spec, or just its decode function.
+   * @return {DecoderRegistry} - This registry.
+   */
+  register(name, spec) {
+    const { formats = [name], contentTypes = [], decode } = _.isFunction(spec) ? {decode: spec} : spec;
+    if(!_.isFunction(decode)) {
+      throw new Error(`Decoder ${name} has no decode function`);
+    }
+    this.decoders = this.decoders.set(name, {formats, contentTypes: _.map(contentTypes, mediaType), decode});
+    return this;
+  }
+
+  /**
+   * Remove a decoder.
+   */
+  unregister(name) {
+    this.decoders = this.decoders.delete(name);
+    return this;
+  }
+
+  /**
+   * A copy of this registry, to register decoders on without changing this one.
+   */
+  copy() {
+    return new DecoderRegistry(this.decoders);
+  }
+
+  /**
+   * The decoder for a response.
+   *
+   * @param  {string} format - The format requested.
+   * @param  {string} contentType - The Content-Type of the response, if any.
+   * @return {object} - The decoder spec.  The JSON decoder if no other matches.
+   */
+  decoderFor(format, contentType = null) {
+    const type = mediaType(contentType);
+    const wildcard = type && `${type.split('/')[0]}/*`;
+    return (format !== 'json' && this.decoders.find((d) => _.contains(d.formats, format))) ||
+      (type && this.decoders.find((d) => _.contains(d.contentTypes, type))) ||
+      (type && this.decoders.find((d) => _.contains(d.contentTypes, wildcard))) ||
+      builtins.get('json');
+  }
+}
+
+/**
+ * The decoders of contexts that have none of their own.  Decoders registered here apply everywhere.
+ */
+export const defaultDecoders = new DecoderRegistry();
+
+/**
+ * Decode a successful response for a context.
+ *
+ * @param  {object} rsp - The response.
+ * @param  {Sondra} context - The context that made the request.
+ * @return {Promise} - Resolves to the decoded body.
+ */
+export function decodeResponse(rsp, context) {
+  const registry = context.get('decoders') || defaultDecoders;
+  const contentType = rsp.headers ? rsp.headers.get('Content-Type') : null;
+  return Promise.try(() => registry.decoderFor(context.getIn(['params', 'format']), contentType).decode(rsp, context));
+}
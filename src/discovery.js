@@ -0,0 +1,151 @@
+/**
+ * Discovery of the apps, collections and methods of a Sondra suite from its schemas.
+ *
+ * <pre>Sondra.discover()</pre> fetches the suite schema, then the schema of every app and every
+ * collection, and returns a context whose <pre>api</pre> field describes them all:
+ *
+ * <pre>
+ * api.apps                                      // ['auth', 'core']
+ * api.core.collections                          // ['tickets', ...]
+ * api.core.methods.someAppMethod(body)          // call an app method
+ * api.core.tickets.methods.assign(body)         // call a collection method
+ * api.core.tickets.documentMethods.close(pk, body)  // call a method on a document
+ * api.core.tickets.context()                    // the Sondra context for the collection
+ * api.core.tickets.schema                       // the raw collection schema
+ * </pre>
+ *
+ * Apps and collections share an object with the fields above, so discovery rejects a suite with an app
+ * named <pre>schema</pre>, <pre>apps</pre> or <pre>methods</pre>, or an app with a collection named
+ * <pre>schema</pre>, <pre>context</pre>, <pre>collections</pre> or <pre>methods</pre>, rather than hide it.
+ *
+ * Once a context has been discovered, <pre>app()</pre>, <pre>collection()</pre> and <pre>method()</pre>
+ * check their arguments against the api and throw if the name does not exist on the server.
+ */
+import _ from 'lodash';
+import Promise from 'bluebird';
+
+/**
+ * The names in a schema listing, which may be either a list of names or an object keyed by name.
+ */
+const names = (listing) => _.isArray(listing) ? listing : _.keys(listing || {});
+
+const documentMethodListing = (schema) => schema.documentMethods || schema.document_methods;
+
+const RESERVED_IN_SUITE = ['schema', 'apps', 'methods'];
+const RESERVED_IN_APP = ['schema', 'context', 'collections', 'methods'];
+
+/**
+ * Throw if any of the children would overwrite a field of the api object they are added to.
+ */
+const checkReserved = (kind, children, reserved, where) => {
+  const clashes = _.intersection(children, reserved);
+  if(clashes.length) {
+    throw new Error(`Cannot discover ${where}: the ${kind} ${clashes.join(', ')} clash with fields of the api. Reserved: ${reserved.join(', ')}`);
+  }
+};
+
+const methodProxies = (context, methodNames) => _.zipObject(methodNames, _.map(methodNames, (name) =>
+  (body = {}, transientContext = {}) => context().method(name).call(_.assign({}, transientContext, {body}))));
+
+const documentMethodProxies = (context, methodNames) => _.zipObject(methodNames, _.map(methodNames, (name) =>
+  (pk, body = {}, transientContext = {}) => context().document(pk).method(name).call(_.assign({}, transientContext, {body}))));
+
+function discoverCollection(root, app, collection) {
+  const context = () => root().app(app).collection(collection);
+  return root().app(app).collection(collection).fetchSchema().then((schema) => ({
+    schema,
+    context,
+    methods: methodProxies(context, names(schema.methods)),
+    documentMethods: documentMethodProxies(context, names(documentMethodListing(schema)))
+  }));
+}
+
+function discoverApp(root, app) {
+  const context = () => root().app(app);
+  return root().app(app).fetchSchema().then((schema) => {
+    const collections = names(schema.collections);
+    checkReserved('collections', collections, RESERVED_IN_APP, `app '${app}'`);
+    return Promise.all(_.map(collections, (collection) => discoverCollection(root, app, collection)))
+      .then((collectionApis) => _.assign(_.zipObject(collections, collectionApis), {
+        schema,
+        context,
+        collections,
+        methods: methodProxies(context, names(schema.methods))
+      }));
+  });
+}
+
+/**
+ * Walk the schemas of the suite a context belongs to.
+ *
+ * @param  {Sondra} context - Any context in the suite.
+ * @return {Promise} - Resolves to the context with its <pre>api</pre> field populated.
+ */
+export function discover(context) {
+  const suite = context.merge({app: null, collection: null, document: null, method: null, requestMethod: 'GET'}).calculateUrl();
+  let discoveredSuite = suite;
+  const root = () => discoveredSuite;
+
+  return suite.fetchSchema().then((schema) => {
+    const apps = names(schema.applications);
+    checkReserved('apps', apps, RESERVED_IN_SUITE, 'the suite');
+    return Promise.all(_.map(apps, (app) => discoverApp(root, app)))
+      .then((appApis) => {
+        const api = _.assign(_.zipObject(apps, appApis), {schema, apps, methods: methodProxies(root, names(schema.methods))});
+        discoveredSuite = suite.set('api', api);
+        return context.set('api', api);
+      });
+  });
+}
+
+const isDiscovered = (api) => _.has(api, 'apps');
+
+const unknown = (kind, name, where, available) =>
+  new Error(`Unknown ${kind} '${name}' in ${where}. Available: ${available.length ? available.join(', ') : '(none)'}`);
+
+/**
+ * Throw if the app is not part of a discovered suite.  Does nothing if the api has not been discovered.
+ */
+export function checkApp(api, app) {
+  if(isDiscovered(api) && !_.contains(api.apps, app)) {
+    throw unknown('app', app, 'suite', api.apps);
+  }
+}
+
+/**
+ * Throw if the collection is not part of a discovered app.  Does nothing if the api has not been discovered.
+ */
+export function checkCollection(api, app, collection) {
+  if(isDiscovered(api) && app && _.has(api, app) && !_.contains(api[app].collections, collection)) {
+    throw unknown('collection', collection, `app '${app}'`, api[app].collections);
+  }
+}
+
+/**
+ * Throw if the method is not available for the current app, collection or document in a discovered suite.
+ * Does nothing if the api has not been discovered.
+ */
+export function checkMethod(api, app, collection, document, method) {
+  if(!isDiscovered(api)) {
+    return;
+  }
+
+  let available, where;
+  if(app && collection && _.has(api, [app, collection])) {
+    const collectionApi = api[app][collection];
+    available = _.keys(document ? collectionApi.documentMethods : collectionApi.methods);
+    where = document ? `documents of '${app}/${collection}'` : `collection '${app}/${collection}'`;
+  } else if(app && !collection && _.has(api, app)) {
+    available = _.keys(api[app].methods);
+    where = `app '${app}'`;
+  } else if(!app) {
+    available = _.keys(api.methods);
+    where = 'suite';
+  } else {
+    return;
+  }
+
+  if(!_.contains(available, method)) {
+    throw unknown('method', method, where, available);
+  }
+}
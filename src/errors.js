@@ -0,0 +1,200 @@
+/**
+ * Errors raised by Sondra requests.
+ *
+ * Every request made through call(), robustCall() and the helpers built on them rejects with a
+ * SondraError.  Which subclass depends on what went wrong:
+ *
+ * * NetworkError - the transport could not reach the server (status 0).  The only error robustCall
+ *   retries without an answer from the server.
+ * * ClientError - the request failed in the client: a middleware threw, or a response could not be
+ *   decoded or handled.  Its status is the response's, or 0 if no response arrived.  Never retried.
+ * * ValidationError - the request failed client-side schema validation and was never sent (status 0).
+ * * AuthError - the server answered 401 or 403.
+ * * NotFoundError - the server answered 404.
+ * * ServerError - the server answered with a 5xx status.
+ * * CancelledError - the request was cancelled through its signal, ran past its timeout, or was
+ *   cancelled in its offline queue (status 0).
+ *
+ * Any other error status is a plain SondraError.  Every error carries the <pre>status</pre>, the
+ * <pre>url</pre> and HTTP <pre>method</pre> of the request, the <pre>payload</pre> the server answered with
+ * (or null), and the number of <pre>retries</pre> robustCall made before giving up.  Errors from
+ * robustCall also carry the <pre>deferredRequestId</pre>.
+ *
+ * Babel's es2015 classes cannot extend built-ins like Error, so each constructor resets the
+ * prototype of the instance to keep <pre>instanceof</pre> working.
+ *
+ * @example
+ * tickets.fetchDocument(id).catch((err) => {
+ *   if(err instanceof NotFoundError) { ... }
+ *   else if(err instanceof AuthError) { showLoginScreen(); }
+ *   else if(err instanceof NetworkError) { showOfflineBanner(); }
+ * });
+ */
+import _ from 'lodash';
+
+const describe = (method, url) => _.compact([method, url]).join(' ') || 'Request';
+
+/**
+ * The base class of every error raised by a Sondra request.
+ *
+ * @param {string} message - A description of the error.
+ * @param {object} details - <pre>{status, url, method, payload, retries, deferredRequestId}</pre>, all optional.
+ */
+export class SondraError extends Error {
+  constructor(message, {status = 0, url = null, method = null, payload = null, retries = 0, deferredRequestId = null} = {}) {
+    super(message);
+    Object.setPrototypeOf(this, SondraError.prototype);
+    this.name = 'SondraError';
+    this.message = message;
+    this.status = status;
+    this.url = url;
+    this.method = method;
+    this.payload = payload;
+    this.retries = retries;
+    this.deferredRequestId = deferredRequestId;
+  }
+}
+
+/**
+ * The server could not be reached.
+ *
+ * @param {object} details - As for SondraError, plus <pre>cause</pre>, the error the transport raised.
+ */
+export class NetworkError extends SondraError {
+  constructor(details = {}) {
+    super(`${describe(details.method, details.url)} could not reach the server`, details);
+    Object.setPrototypeOf(this, NetworkError.prototype);
+    this.name = 'NetworkError';
+    this.cause = details.cause || null;
+  }
+}
+
+/**
+ * The request failed in the client rather than in the network or on the server: a middleware threw,
+ * or the response could not be decoded or handled.  The server may already have acted on the request.
+ *
+ * @param {object} details - As for SondraError, plus <pre>cause</pre>, the error that was raised.
+ */
+export class ClientError extends SondraError {
+  constructor(details = {}) {
+    const cause = details.cause || null;
+    super(`${describe(details.method, details.url)} failed in the client${cause && cause.message ? `: ${cause.message}` : ''}`, details);
+    Object.setPrototypeOf(this, ClientError.prototype);
+    this.name = 'ClientError';
+    this.cause = cause;
+  }
+}
+
+/**
+ * The request failed client-side schema validation.  See validation.js.
+ *
+ * @param {string} message - The problems, joined into one sentence.
+ * @param {object} details - As for SondraError, plus <pre>errors</pre>, a list of <pre>{path, message}</pre>.
+ */
+export class ValidationError extends SondraError {
+  constructor(message, details = {}) {
+    super(message, details);
+    Object.setPrototypeOf(this, ValidationError.prototype);
+    this.name = 'ValidationError';
+    this.errors = details.errors || [];
+  }
+}
+
+/**
+ * The server refused the request's credentials (401) or permissions (403).
+ */
+export class AuthError extends SondraError {
+  constructor(message, details = {}) {
+    super(message, details);
+    Object.setPrototypeOf(this, AuthError.prototype);
+    this.name = 'AuthError';
+  }
+}
+
+/**
+ * The server has no such app, collection, document or method (404).
+ */
+export class NotFoundError extends SondraError {
+  constructor(message, details = {}) {
+    super(message, details);
+    Object.setPrototypeOf(this, NotFoundError.prototype);
+    this.name = 'NotFoundError';
+  }
+}
+
+/**
+ * The server failed (5xx).
+ */
+export class ServerError extends SondraError {
+  constructor(message, details = {}) {
+    super(message, details);
+    Object.setPrototypeOf(this, ServerError.prototype);
+    this.name = 'ServerError';
+  }
+}
+
+/**
+ * A request was cancelled through its abort signal, ran past its timeout, or was cancelled in its
+ * offline queue.
+ *
+ * @param {string} url - The URL of the request.
+ * @param {string} [reason='aborted'] - 'aborted', 'timeout' or 'dequeued'.
+ * @param {object} details - Optional. As for SondraError.
+ */
+export class CancelledError extends SondraError {
+  constructor(url, reason = 'aborted', details = {}) {
+    super(`Request to ${url} was cancelled (${reason})`, _.assign({}, details, {url}));
+    Object.setPrototypeOf(this, CancelledError.prototype);
+    this.name = 'CancelledError';
+    this.reason = reason;
+  }
+}
+
+/**
+ * The error for a response with an error status.
+ *
+ * @param  {number} status - The HTTP status.
+ * @param  {object} details - <pre>{url, method, payload, retries, deferredRequestId}</pre>.
+ * @return {SondraError}
+ */
+export function errorForStatus(status, details = {}) {
+  const payload = details.payload;
+  const message = (payload && _.isString(payload.message) && payload.message) ||
+    `${describe(details.method, details.url)} failed with status ${status}`;
+  const withStatus = _.assign({}, details, {status});
+
+  if(status === 401 || status === 403) {
+    return new AuthError(message, withStatus);
+  } else if(status === 404) {
+    return new NotFoundError(message, withStatus);
+  } else if(status >= 500) {
+    return new ServerError(message, withStatus);
+  } else {
+    return new SondraError(message, withStatus);
+  }
+}
+
+/**
+ * Make any error raised while making a request into a SondraError.  SondraErrors are returned as
+ * they are; anything else is a ClientError.  Failures of the transport itself are made into
+ * NetworkErrors where the transport is called (see cancellableFetch), not here.
+ *
+ * @param  {any} error - What a middleware or a handler rejected with.
+ * @param  {object} details - <pre>{status, url, method, retries, deferredRequestId}</pre>.  status is the
+ *                            status of the response, if one arrived.
+ * @return {SondraError}
+ */
+export function asSondraError(error, details = {}) {
+  return error instanceof SondraError ? error : new ClientError(_.assign({}, details, {cause: error}));
+}
+
+/**
+ * Make an error raised by a transport into a NetworkError.  SondraErrors are returned as they are.
+ *
+ * @param  {any} error - What the transport rejected with.
+ * @param  {object} details - <pre>{url, method}</pre>.
+ * @return {SondraError}
+ */
+export function asNetworkError(error, details = {}) {
+  return error instanceof SondraError ? error : new NetworkError(_.assign({}, details, {cause: error}));
+}
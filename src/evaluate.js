@@ -0,0 +1,148 @@
+/**
+ * Evaluation of Sondra queries against documents held in memory.
+ *
+ * This follows what a Sondra server does with a QuerySet: documents are selected by
+ * <pre>keys</pre>, then filtered by <pre>flt</pre>, then sliced by <pre>start</pre>, <pre>end</pre> and
+ * <pre>limit</pre>, and finally reduced by <pre>agg</pre>.  Filters follow RethinkDB: a filter on a field
+ * the document does not have, or whose value the op does not apply to (<pre>contains</pre> on anything
+ * but an array, <pre>match</pre> on anything but a string), evaluates to the filter's <pre>default</pre>.
+ *
+ * Values are compared in RethinkDB's order, and aggregations over a field skip documents without it.
+ * <pre>distinct</pre> returns its values sorted in that order, as the server does.
+ *
+ * Queries are in the uncooked form returned by <pre>querySet.value(false)</pre>.  Most code will call
+ * <pre>querySet.evaluate(docs)</pre> instead.
+ *
+ * @example
+ * evaluateQuery(new QuerySet().eq('status', 'open').count().value(false), docs);  // 3
+ * new QuerySet().eq('status', 'open').count().evaluate(docs);                     // the same
+ */
+import _ from 'lodash';
+
+// RethinkDB orders values of different types by the name of the type.
+const typeRank = (value) => {
+  if(_.isArray(value)) {
+    return 0;
+  } else if(_.isBoolean(value)) {
+    return 1;
+  } else if(value === null || value === undefined) {
+    return 2;
+  } else if(_.isNumber(value)) {
+    return 3;
+  } else if(_.isString(value)) {
+    return 5;
+  }
+  return 4;
+};
+
+/**
+ * Compare two JSON values the way RethinkDB does: first by type (arrays, booleans, null, numbers,
+ * objects, strings), then arrays and objects element by element and everything else by value.
+ *
+ * @return {number} - Negative, zero or positive, as for Array.prototype.sort.
+ */
+export function compareValues(a, b) {
+  const rank = typeRank(a) - typeRank(b);
+  if(rank !== 0) {
+    return rank;
+  } else if(_.isArray(a)) {
+    const i = _.findIndex(_.range(Math.min(a.length, b.length)), (j) => compareValues(a[j], b[j]) !== 0);
+    return i >= 0 ? compareValues(a[i], b[i]) : a.length - b.length;
+  } else if(_.isPlainObject(a)) {
+    const pairs = (o) => _.map(_.keys(o).sort(), (k) => [k, o[k]]);
+    return compareValues(pairs(a), pairs(b));
+  }
+  return a < b ? -1 : (a > b ? 1 : 0);
+}
+
+// A comparison returns undefined where RethinkDB would raise an error, which gives the filter's default.
+const comparisons = {
+  '==': (value, rhs) => _.isEqual(value, rhs),
+  '!=': (value, rhs) => !_.isEqual(value, rhs),
+  '<': (value, rhs) => compareValues(value, rhs) < 0,
+  '>': (value, rhs) => compareValues(value, rhs) > 0,
+  '<=': (value, rhs) => compareValues(value, rhs) <= 0,
+  '>=': (value, rhs) => compareValues(value, rhs) >= 0,
+  'match': (value, rhs) => (_.isString(value) ? new RegExp(rhs).test(value) : undefined),
+  'contains': (value, rhs) => (_.isArray(value) ? _.some(value, (v) => _.isEqual(v, rhs)) : undefined),
+  'in': (value, rhs) => _.some(rhs, (v) => _.isEqual(v, value)),
+  'between': (value, [lower, upper]) => compareValues(value, lower) >= 0 && compareValues(value, upper) <= 0
+};
+
+/**
+ * Whether a document passes every filter in a list.
+ *
+ * @param  {Array} flt - Filters, as built by QuerySet.
+ * @param  {object} doc - The document.
+ * @return {boolean}
+ */
+export function matchesFilters(flt, doc) {
+  return _.every(flt || [], (filter) => {
+    const { op, lhs, rhs, args } = filter;
+    switch(op) {
+      case 'has_fields':
+        return _.every(_.isArray(filter.fields) ? filter.fields : [filter.fields], (field) => _.has(doc, field));
+      case 'or':
+        return _.some(args, (group) => matchesFilters(group, doc));
+      case 'and':
+        return _.every(args, (group) => matchesFilters(group, doc));
+      case 'not':
+        return !matchesFilters(args[0], doc);
+      default:
+        if(!_.has(comparisons, op)) {
+          throw new Error(`Unsupported filter op '${op}'`);
+        }
+        const result = _.has(doc, lhs) ? comparisons[op](_.get(doc, lhs), rhs) : undefined;
+        return result === undefined ? Boolean(filter['default']) : result;
+    }
+  });
+}
+
+// Like RethinkDB, aggregations over a field skip the documents that do not have it.
+const having = (docs, field) => _.filter(docs, (doc) => _.has(doc, field));
+
+const extreme = (docs, field, sign) => _.reduce(having(docs, field), (best, doc) => (
+  best === null || sign * compareValues(_.get(doc, field), _.get(best, field)) < 0 ? doc : best), null);
+
+const aggregations = {
+  count: (docs, args) => (args && args.length ? _.filter(docs, (doc) => _.isEqual(doc, args[0])).length : docs.length),
+  sum: (docs, [field]) => _.sum(having(docs, field), (doc) => _.get(doc, field)),
+  avg: (docs, [field]) => {
+    const values = having(docs, field);
+    return values.length ? _.sum(values, (doc) => _.get(doc, field)) / values.length : null;
+  },
+  min: (docs, args, kwargs) => extreme(docs, kwargs ? kwargs.index : args[0], 1),
+  max: (docs, args, kwargs) => extreme(docs, kwargs ? kwargs.index : args[0], -1),
+  pluck: (docs, fields) => _.map(docs, (doc) => _.pick(doc, fields)),
+  without: (docs, fields) => _.map(docs, (doc) => _.omit(doc, fields)),
+  distinct: (docs, args, kwargs) => (kwargs ? _.uniq(_.pluck(docs, kwargs.index)) : _.uniq(docs, JSON.stringify)).sort(compareValues)
+};
+
+/**
+ * Run a query against a list of documents.
+ *
+ * @param  {object} query - <pre>{keys, index, flt, start, end, limit, agg}</pre>. Geospatial queries are not supported.
+ * @param  {Array} docs - The documents of the collection, in order.
+ * @param  {object} options - <pre>{primaryKey}</pre>, the field that <pre>keys</pre> refer to when there is no index. Defaults to 'id'.
+ * @return {any} - The selected documents, or the result of the aggregation.
+ */
+export function evaluateQuery(query, docs, {primaryKey = 'id'} = {}) {
+  const { keys, index, flt, geo, start, end, limit, agg } = query || {};
+  if(geo) {
+    throw new Error('Geospatial queries are not supported');
+  }
+
+  let selected = keys ? _.filter(docs, (doc) => _.contains(keys, doc[index || primaryKey])) : docs;
+  selected = _.filter(selected, (doc) => matchesFilters(flt, doc));
+  selected = selected.slice(start || 0, _.isNumber(end) ? end : undefined);
+  if(_.isNumber(limit)) {
+    selected = _.take(selected, limit);
+  }
+
+  if(!agg) {
+    return selected;
+  } else if(!_.has(aggregations, agg.op)) {
+    throw new Error(`Unsupported aggregation '${agg.op}'`);
+  }
+  return aggregations[agg.op](selected, agg.args || [], agg.kwargs);
+}
@@ -0,0 +1,453 @@
+/**
+ * An in-process fake of a Sondra server, so that clients can be tested without a network.
+ *
+ * The fake answers the URLs that <pre>calculateUrl</pre> produces
+ * (<pre>/api/app/collection/document.method;format=json</pre>), keeps documents in memory, and runs
+ * QuerySets against them (see evaluate.js).  Apps, collections and methods are declared up front, and
+ * their schemas are served for <pre>format=schema</pre> requests, so <pre>discover()</pre> and validation
+ * work against it too.  Successful GETs carry an ETag, and a GET whose <pre>If-None-Match</pre> matches
+ * it is answered with a 304, so response caching can be tested against it.
+ *
+ * <pre>server.fetch</pre> is a transport (see transport.js): use it with <pre>suite.transport(server.fetch)</pre>,
+ * or call <pre>install()</pre> to put it in place of the global fetch until <pre>uninstall()</pre> is called.
+ * It is exported from testing.js rather than the main module.
+ *
+ * Failures can be scripted: <pre>fail('network')</pre> drops the next request, <pre>fail(503)</pre> or
+ * <pre>fail({status, body, headers})</pre> answers it with an error, and <pre>fail('hang')</pre> never
+ * answers it (until its signal aborts).  Scripted failures apply to requests for the API, not to the
+ * ping that robustCall sends first; <pre>goOffline()</pre> drops every request, pings included.
+ *
+ * @example
+ * const server = new FakeSondraServer({port: 5000})
+ *   .collection('core', 'tickets', {documents: [{id: 't1', status: 'open'}]})
+ *   .method('auth.login', ({username}) => `token-for-${username}`)
+ *   .fail(503, {match: '/core/tickets'});
+ * server.install();
+ * suite.app('core').collection('tickets').call();  // rejects with a 503, then the next call resolves
+ * server.uninstall();
+ */
+import _ from 'lodash';
+import Promise from 'bluebird';
+import { jsonResponse } from './middleware.js';
+import { evaluateQuery } from './evaluate.js';
+import { globalObject } from './transport.js';
+
+const QUERY_FIELDS = ['flt', 'agg', 'geo', 'keys', 'index', 'start', 'end', 'limit'];
+const JSON_QUERY_FIELDS = ['flt', 'agg', 'geo', 'keys'];
+const NUMERIC_QUERY_FIELDS = ['start', 'end', 'limit'];
+
+const decode = (s) => decodeURIComponent(s.replace(/\+/g, ' '));
+
+const parsePairs = (s, separator) => _.zipObject(_.map(_.compact(s.split(separator)), (pair) => {
+  const [k, ...v] = pair.split('=');
+  return [decode(k), decode(v.join('='))];
+}));
+
+/**
+ * Split request parameters into the QuerySet and the rest of the body.  QuerySet values arrive
+ * cooked, as by <pre>querySet.value()</pre>.  A <pre>keys</pre> list rather than a JSON string is the
+ * body of a bulk delete, not a query.
+ */
+function splitQuery(params) {
+  const query = {};
+  const body = {};
+  _.forEach(params, (v, k) => {
+    if(!_.contains(QUERY_FIELDS, k) || (k === 'keys' && _.isArray(v))) {
+      body[k] = v;
+    } else if(_.contains(JSON_QUERY_FIELDS, k) && _.isString(v)) {
+      query[k] = JSON.parse(v);
+    } else if(_.contains(NUMERIC_QUERY_FIELDS, k)) {
+      query[k] = Number(v);
+    } else {
+      query[k] = v;
+    }
+  });
+  return {query, body};
+}
+
+/**
+ * Pick apart a URL made by calculateUrl.
+ *
+ * @return {object} - <pre>{origin, pathname, segments, method, params, search}</pre>
+ */
+function parseUrl(url) {
+  const [location, search = ''] = url.split('?');
+  const [path, ...paramParts] = location.split(';');
+  const [, origin, pathname = '/'] = /^([a-z]+:\/\/[^\/]*)(\/.*)?$/.exec(path) || [null, '', path];
+  const segments = _.compact(pathname.split('/'));
+  const last = segments.length ? segments.pop().split('.') : [];
+  if(last.length) {
+    segments.push(last[0]);
+  }
+  return {
+    origin,
+    pathname,
+    segments,
+    method: last.length > 1 ? last.slice(1).join('.') : null,
+    params: parsePairs(paramParts.join(';'), ';'),
+    search
+  };
+}
+
+const errorResponse = (status, error, message) => jsonResponse({error, message}, status);
+const notFound = (what) => errorResponse(404, 'NotFound', `${what} does not exist`);
+const isResponse = (value) => _.isObject(value) && _.isFunction(value.json) && _.has(value, 'status');
+
+// Sondra wraps scalar return values from methods as {_: value}.
+const wrap = (value) => (_.isObject(value) ? value : {_: value === undefined ? null : value});
+
+// A strong ETag for a body: a hash of its JSON.
+const etagOf = (data) => {
+  const json = JSON.stringify(data);
+  let hash = 5381;
+  for(let i = 0; i < json.length; i += 1) {
+    hash = (hash * 33 + json.charCodeAt(i)) % 4294967296;
+  }
+  return `"${hash.toString(16)}"`;
+};
+
+const headerValue = (headers, name) => {
+  const key = _.find(_.keys(headers), (k) => k.toLowerCase() === name.toLowerCase());
+  return key === undefined ? null : headers[key];
+};
+
+/**
+ * @param {object} options - <pre>{protocol, host, port, basePath, pingPath}</pre>, which should match the
+ *                           suite under test.  Defaults to http://localhost:5000/api with a /ping path.
+ */
+export class FakeSondraServer {
+  constructor({protocol = 'http', host = 'localhost', port = 5000, basePath = ['api'], pingPath = '/ping'} = {}) {
+    this.origin = `${protocol}://${host}:${port}`;
+    this.basePath = basePath;
+    this.pingPath = pingPath;
+    this.apps = {};
+    this.failures = [];
+    this.requests = [];
+    this.online = true;
+    this.lastKey = 0;
+    this.installedOn = null;
+    this.fetch = this.fetch.bind(this);
+  }
+
+  /**
+   * Declare an app.  Apps are also declared implicitly by their collections and methods.
+   *
+   * @param {string} name - The app.
+   * @param {object} schema - Optional. Extra properties for the app's schema.
+   */
+  app(name, schema = {}) {
+    if(!_.has(this.apps, name)) {
+      this.apps[name] = {schema: {}, collections: {}, methods: {}};
+    }
+    _.assign(this.apps[name].schema, schema);
+    return this;
+  }
+
+  /**
+   * Declare a collection, or add documents to one.
+   *
+   * @param {string} app - The app.
+   * @param {string} name - The collection.
+   * @param {object} options - <pre>{schema, primaryKey, documents}</pre>.  primaryKey defaults to 'id'.
+   */
+  collection(app, name, {schema = {}, primaryKey = 'id', documents = []} = {}) {
+    this.app(app);
+    const collections = this.apps[app].collections;
+    if(!_.has(collections, name)) {
+      collections[name] = {schema: {}, primaryKey, documents: [], methods: {}, documentMethods: {}};
+    }
+    _.assign(collections[name].schema, schema);
+    _.forEach(documents, (doc) => this._put(collections[name], _.cloneDeep(doc)));
+    return this;
+  }
+
+  /**
+   * Declare a method.
+   *
+   * @param {string} path - <pre>'app.method'</pre>, <pre>'app/collection.method'</pre>, or
+   *                        <pre>'app/collection/*.method'</pre> for a method of every document.
+   * @param {function(object, object)} handler - Called with the body and the request
+   *   <pre>{url, requestMethod, app, collection, document, method, query, headers}</pre>.  It may return
+   *   a value or a promise.  Scalars are wrapped as <pre>{_: value}</pre>; a jsonResponse is sent as is;
+   *   an exception becomes a 500.
+   * @param {object} schema - Optional. The method's schema.
+   */
+  method(path, handler, schema = {type: 'object'}) {
+    const [target, name] = path.split('.');
+    const [app, collection, document] = target.split('/');
+    const entry = {handler, schema};
+    if(!collection) {
+      this.app(app);
+      this.apps[app].methods[name] = entry;
+    } else {
+      this.collection(app, collection);
+      this.apps[app].collections[collection][document ? 'documentMethods' : 'methods'][name] = entry;
+    }
+    return this;
+  }
+
+  /**
+   * A copy of the documents in a collection, in order.
+   */
+  documents(app, collection) {
+    return _.cloneDeep(this.apps[app].collections[collection].documents);
+  }
+
+  /**
+   * Script a failure.
+   *
+   * @param {string|number|object} failure - 'network', 'hang', an HTTP status, or <pre>{status, body, headers}</pre>.
+   * @param {object} options - <pre>{match, times}</pre>.  match is a substring of the URL, a RegExp, or a
+   *                           function of the request; by default every request matches.  times (1) is
+   *                           how many requests fail.
+   */
+  fail(failure, {match = null, times = 1} = {}) {
+    this.failures.push({failure, match, times});
+    return this;
+  }
+
+  goOffline() {
+    this.online = false;
+    return this;
+  }
+
+  goOnline() {
+    this.online = true;
+    return this;
+  }
+
+  /**
+   * Replace the global fetch (window.fetch in browsers, global.fetch in Node) or target.fetch with this server's fetch.
+   */
+  install(target = globalObject) {
+    this.installedOn = {target, fetch: target.fetch};
+    target.fetch = this.fetch;
+    return this;
+  }
+
+  uninstall() {
+    if(this.installedOn) {
+      this.installedOn.target.fetch = this.installedOn.fetch;
+      this.installedOn = null;
+    }
+    return this;
+  }
+
+  /**
+   * Answer a request, as window.fetch would.
+   */
+  fetch(url, options = {}) {
+    const parsed = parseUrl(url);
+    const requestMethod = (options.method || 'GET').toUpperCase();
+
+    if(!this.online || parsed.origin !== this.origin) {
+      return Promise.reject(new TypeError('Failed to fetch'));
+    } else if(parsed.pathname === this.pingPath) {
+      return Promise.resolve(jsonResponse(null));
+    }
+
+    const base = parsed.segments.slice(0, this.basePath.length);
+    const [app = null, collection = null, document = null] = parsed.segments.slice(this.basePath.length);
+    const params = requestMethod === 'GET' ? parsePairs(parsed.search, '&') : (options.body ? JSON.parse(options.body) : {});
+    const request = _.assign({
+      url,
+      requestMethod,
+      app,
+      collection,
+      document,
+      method: parsed.method,
+      format: parsed.params.format || 'json',
+      headers: options.headers || {}
+    }, splitQuery(params));
+    this.requests.push(request);
+
+    const scripted = this._scriptedFailure(request);
+    if(scripted) {
+      return this._failWith(scripted, options);
+    } else if(!_.isEqual(base, this.basePath)) {
+      return Promise.resolve(notFound(parsed.pathname));
+    }
+    return Promise.try(() => this._route(request))
+      .then((rsp) => (requestMethod === 'GET' && rsp.status === 200 ? this._tagged(rsp, request) : rsp))
+      .catch((error) => errorResponse(500, error.name || 'Error', error.message || String(error)));
+  }
+
+  // Add an ETag to a successful GET, and answer 304 if the client already has that version.
+  _tagged(rsp, request) {
+    return rsp.json().then((data) => {
+      const etag = etagOf(data);
+      return headerValue(request.headers, 'If-None-Match') === etag ? jsonResponse(null, 304, {ETag: etag}) : jsonResponse(data, 200, {ETag: etag});
+    });
+  }
+
+  _scriptedFailure(request) {
+    const index = _.findIndex(this.failures, ({match}) => (
+      match === null ||
+      (_.isString(match) && request.url.indexOf(match) >= 0) ||
+      (_.isRegExp(match) && match.test(request.url)) ||
+      (_.isFunction(match) && match(request))));
+    if(index < 0) {
+      return null;
+    }
+    const scripted = this.failures[index];
+    scripted.times -= 1;
+    if(scripted.times <= 0) {
+      this.failures.splice(index, 1);
+    }
+    return scripted.failure;
+  }
+
+  _failWith(failure, options) {
+    if(failure === 'network') {
+      return Promise.reject(new TypeError('Failed to fetch'));
+    } else if(failure === 'hang') {
+      return new Promise((resolve, reject) => {
+        if(options.signal) {
+          options.signal.addEventListener('abort', () => reject(new Error('The request was aborted')));
+        }
+      });
+    } else if(_.isNumber(failure)) {
+      return Promise.resolve(errorResponse(failure, 'ScriptedFailure', `Scripted failure with status ${failure}`));
+    } else {
+      return Promise.resolve(jsonResponse(failure.body === undefined ? null : failure.body, failure.status, failure.headers));
+    }
+  }
+
+  _route(request) {
+    const { app, collection, document, method, requestMethod, format } = request;
+    const appEntry = app ? this.apps[app] : null;
+    const collectionEntry = appEntry && collection ? appEntry.collections[collection] : null;
+
+    if((app && !appEntry) || (collection && !collectionEntry)) {
+      return notFound(collection ? `${app}/${collection}` : app);
+    } else if(format === 'schema') {
+      return jsonResponse(this._schema(appEntry, collectionEntry, request));
+    } else if(method) {
+      return this._callMethod(appEntry, collectionEntry, request);
+    } else if(document) {
+      return this._document(collectionEntry, requestMethod, document, request.body);
+    } else if(collection) {
+      return this._collection(collectionEntry, requestMethod, request);
+    } else if(requestMethod === 'GET') {
+      return jsonResponse(this._schema(appEntry, null, request));
+    } else {
+      return errorResponse(405, 'MethodNotAllowed', `${requestMethod} is not allowed here`);
+    }
+  }
+
+  _schema(appEntry, collectionEntry, {app, method, document}) {
+    if(method) {
+      const methods = collectionEntry ? collectionEntry[document ? 'documentMethods' : 'methods'] : (appEntry ? appEntry.methods : {});
+      return methods[method] ? methods[method].schema : null;
+    } else if(collectionEntry) {
+      return _.assign({type: 'object', properties: {}}, collectionEntry.schema, {
+        primary_key: collectionEntry.primaryKey,
+        methods: _.keys(collectionEntry.methods),
+        documentMethods: _.keys(collectionEntry.documentMethods)
+      });
+    } else if(appEntry) {
+      return _.assign({type: 'object', name: app}, appEntry.schema, {
+        collections: _.keys(appEntry.collections),
+        methods: _.keys(appEntry.methods)
+      });
+    } else {
+      return {type: 'object', applications: _.keys(this.apps), methods: []};
+    }
+  }
+
+  _callMethod(appEntry, collectionEntry, request) {
+    const { document, method } = request;
+    const methods = collectionEntry ? collectionEntry[document ? 'documentMethods' : 'methods'] : (appEntry ? appEntry.methods : {});
+    if(!methods[method]) {
+      return notFound(`Method ${method}`);
+    } else if(document && this._find(collectionEntry, document) < 0) {
+      return notFound(`Document ${document}`);
+    }
+    return Promise.resolve(methods[method].handler(request.body, request)).then((result) => (isResponse(result) ? result : jsonResponse(wrap(result))));
+  }
+
+  _find(collectionEntry, key) {
+    return _.findIndex(collectionEntry.documents, (doc) => String(doc[collectionEntry.primaryKey]) === String(key));
+  }
+
+  _put(collectionEntry, doc) {
+    const key = collectionEntry.primaryKey;
+    if(doc[key] === undefined || doc[key] === null) {
+      this.lastKey += 1;
+      doc[key] = String(this.lastKey);
+    }
+    const i = this._find(collectionEntry, doc[key]);
+    if(i < 0) {
+      collectionEntry.documents.push(doc);
+    } else {
+      collectionEntry.documents[i] = doc;
+    }
+    return _.cloneDeep(doc);
+  }
+
+  /**
+   * Write a single document.
+   *
+   * @return {object} - <pre>{status, data}</pre>.
+   */
+  _write(collectionEntry, requestMethod, key, body) {
+    const i = this._find(collectionEntry, key);
+    const existing = i >= 0 ? collectionEntry.documents[i] : null;
+    const keyed = (doc) => _.assign({}, doc, {[collectionEntry.primaryKey]: key});
+
+    switch(requestMethod) {
+      case 'GET':
+        return existing ? {status: 200, data: _.cloneDeep(existing)} : {status: 404};
+      case 'POST':
+        return existing ? {status: 409, message: `Document ${key} already exists`} : {status: 201, data: this._put(collectionEntry, keyed(body))};
+      case 'PUT':
+        return {status: existing ? 200 : 201, data: this._put(collectionEntry, keyed(body))};
+      case 'PATCH':
+        return existing ? {status: 200, data: this._put(collectionEntry, keyed(_.assign({}, existing, body)))} : {status: 404};
+      case 'DELETE':
+        if(!existing) {
+          return {status: 404};
+        }
+        collectionEntry.documents.splice(i, 1);
+        return {status: 200, data: _.cloneDeep(existing)};
+      default:
+        return {status: 405, message: `${requestMethod} is not allowed on a document`};
+    }
+  }
+
+  _document(collectionEntry, requestMethod, key, body) {
+    const {status, data, message} = this._write(collectionEntry, requestMethod, key, body);
+    if(status === 404) {
+      return notFound(`Document ${key}`);
+    } else if(status >= 400) {
+      return errorResponse(status, status === 409 ? 'Conflict' : 'MethodNotAllowed', message);
+    }
+    return jsonResponse(data, status);
+  }
+
+  // A bulk write answers with one result per item, in order. Failed items are {error}.
+  _bulk(collectionEntry, requestMethod, items) {
+    return jsonResponse(_.map(items, ({key, body}) => {
+      const {status, data, message} = this._write(collectionEntry, requestMethod, key, body);
+      return status < 400 ? data : {error: message || `Document ${key} does not exist`};
+    }));
+  }
+
+  _collection(collectionEntry, requestMethod, {query, body}) {
+    const primaryKey = collectionEntry.primaryKey;
+    const documents = (docs) => _.map(docs, (doc) => ({key: doc[primaryKey], body: doc}));
+
+    if(requestMethod === 'GET') {
+      return jsonResponse(_.cloneDeep(evaluateQuery(query, collectionEntry.documents, {primaryKey})));
+    } else if(requestMethod === 'DELETE' && _.isArray(body.keys)) {
+      return this._bulk(collectionEntry, requestMethod, _.map(body.keys, (key) => ({key})));
+    } else if(_.isArray(body.documents)) {
+      return this._bulk(collectionEntry, requestMethod, documents(body.documents));
+    } else if(requestMethod === 'POST' && _.has(body, primaryKey)) {
+      return this._document(collectionEntry, requestMethod, body[primaryKey], body);
+    } else if(requestMethod === 'POST') {
+      return jsonResponse(this._put(collectionEntry, _.cloneDeep(body)), 201);
+    }
+    return errorResponse(405, 'MethodNotAllowed', `${requestMethod} is not allowed on a collection`);
+  }
+}
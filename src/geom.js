@@ -1,6 +1,55 @@
+/**
+ * Geometry: GeoJSON builders, validation for the geospatial query methods, and helpers for working
+ * with geographic results on the client.
+ *
+ * Positions are GeoJSON positions, <pre>[longitude, latitude]</pre>.  Wherever a helper takes a point,
+ * it accepts either a position or a Point geometry.  Distances are in the units that
+ * <pre>getNearest</pre> (and RethinkDB) understands: 'm', 'km', 'mi', 'nm' and 'ft'.
+ *
+ * @example
+ * const office = point(-78.64, 35.78);
+ * tickets.query(tickets.query().getIntersecting(circle(office, 5, {unit: 'km'}), 'location')).call();
+ * tickets.query(tickets.query().getNearest(office, 'location', 10, 5, 'mi')).call();
+ * sortByDistance(docs, office, 'location');
+ */
+import _ from 'lodash';
+import { ValidationError } from './errors.js';
+
+/**
+ * The length of each distance unit, in meters.
+ */
+export const UNITS = {m: 1, km: 1000, mi: 1609.344, nm: 1852, ft: 0.3048};
+
+/**
+ * The mean radius of the earth, in meters.
+ */
+export const EARTH_RADIUS = 6371008.8;
+
+const GEOMETRY_TYPES = ['Point', 'MultiPoint', 'LineString', 'MultiLineString', 'Polygon', 'MultiPolygon', 'GeometryCollection'];
+
+const radians = (degrees) => degrees * Math.PI / 180;
+const degrees = (rad) => rad * 180 / Math.PI;
+
+const plain = (value) => (value && _.isFunction(value.toJS) ? value.toJS() : value);
+
+/**
+ * Check a distance unit, returning it.
+ *
+ * @throws {ValidationError} - If it is not one of UNITS.
+ */
+export function validateUnit(unit) {
+  if(!_.has(UNITS, unit)) {
+    throw new ValidationError(`Unknown distance unit ${unit}; expected one of ${_.keys(UNITS).join(', ')}`,
+      {errors: [{path: 'unit', message: 'is not a known distance unit'}]});
+  }
+  return unit;
+}
+
 /**
  * Calculate the distance in kilometers or miles for two points of longitude latitude.
  *
+ * Kept for compatibility; new code should use distanceBetween().
+ *
  * @param  {number} lat1 [description]
  * @param  {number} lon1 [description]
  * @param  {number} lat2 [description]
@@ -21,3 +70,274 @@ export function distance(lat1, lon1, lat2, lon2, unit) {
 	if (unit === "M") { dist = dist * 0.8684; }
 	return dist;
 }
+
+/**
+ * Convert a distance from one unit to another.
+ *
+ * @param  {number} value - The distance.
+ * @param  {string} from - The unit it is in.
+ * @param  {string} [to='m'] - The unit to convert it to.
+ * @return {number}
+ */
+export function convertDistance(value, from, to = 'm') {
+  return value * UNITS[validateUnit(from)] / UNITS[validateUnit(to)];
+}
+
+/**
+ * The position of a point given as a position or a Point geometry.
+ */
+export function positionOf(p) {
+  const value = plain(p);
+  const position = value && value.type === 'Point' ? value.coordinates : value;
+  if(!isPosition(position)) {
+    throw new ValidationError('Expected a point: a [longitude, latitude] position or a Point geometry',
+      {errors: [{path: '', message: 'is not a point'}]});
+  }
+  return position;
+}
+
+function isPosition(p) {
+  return _.isArray(p) && (p.length === 2 || p.length === 3) && _.every(p, _.isFinite) &&
+    p[0] >= -180 && p[0] <= 180 && p[1] >= -90 && p[1] <= 90;
+}
+
+const closeRing = (ring) => (_.isEqual(_.first(ring), _.last(ring)) ? ring : ring.concat([_.first(ring)]));
+
+/**
+ * A Point geometry.
+ */
+export function point(longitude, latitude) {
+  return {type: 'Point', coordinates: [longitude, latitude]};
+}
+
+/**
+ * A LineString geometry.
+ *
+ * @param {Array} points - Two or more positions or Point geometries.
+ */
+export function line(points) {
+  return {type: 'LineString', coordinates: _.map(points, positionOf)};
+}
+
+/**
+ * A Polygon geometry.  Rings that are not closed are closed.
+ *
+ * @param {Array} exterior - The positions or Point geometries of the outer ring.
+ * @param {Array} holes - Optional. Any number of inner rings, as lists of positions or Point geometries.
+ */
+export function polygon(exterior, ...holes) {
+  return {type: 'Polygon', coordinates: _.map([exterior].concat(holes), (ring) => closeRing(_.map(ring, positionOf)))};
+}
+
+/**
+ * The Polygon covering a bounding box.
+ *
+ * @param {Array} box - <pre>[west, south, east, north]</pre>, as returned by bboxOf().
+ */
+export function bbox([west, south, east, north]) {
+  return polygon([[west, south], [east, south], [east, north], [west, north]]);
+}
+
+/**
+ * The point reached by travelling a distance along a bearing.
+ *
+ * @param  {Array|object} origin - A position or Point geometry.
+ * @param  {number} dist - The distance to travel.
+ * @param  {number} bearingDegrees - The bearing to travel along, clockwise from north.
+ * @param  {string} [unit='m'] - The unit of dist.
+ * @return {Array} - The position reached.
+ */
+export function destination(origin, dist, bearingDegrees, unit = 'm') {
+  const [lon, lat] = positionOf(origin);
+  const angle = convertDistance(dist, unit) / EARTH_RADIUS;
+  const theta = radians(bearingDegrees);
+  const phi1 = radians(lat);
+  const phi2 = Math.asin(Math.sin(phi1) * Math.cos(angle) + Math.cos(phi1) * Math.sin(angle) * Math.cos(theta));
+  const lambda2 = radians(lon) + Math.atan2(Math.sin(theta) * Math.sin(angle) * Math.cos(phi1),
+    Math.cos(angle) - Math.sin(phi1) * Math.sin(phi2));
+  return [((degrees(lambda2) + 540) % 360) - 180, degrees(phi2)];
+}
+
+/**
+ * A Polygon approximating a circle, like RethinkDB's r.circle().
+ *
+ * @param {Array|object} center - A position or Point geometry.
+ * @param {number} radius - The radius of the circle.
+ * @param {object} options - <pre>{unit='m', steps=32}</pre>: the unit of the radius and the number of vertices.
+ */
+export function circle(center, radius, {unit = 'm', steps = 32} = {}) {
+  return polygon(_.map(_.range(steps), (i) => destination(center, radius, 360 * i / steps, unit)));
+}
+
+function positionErrors(coordinates, path) {
+  return isPosition(coordinates) ? [] : [{path, message: 'is not a [longitude, latitude] position'}];
+}
+
+function lineErrors(coordinates, path) {
+  if(!_.isArray(coordinates) || coordinates.length < 2) {
+    return [{path, message: 'must have at least two positions'}];
+  }
+  return _.flatten(_.map(coordinates, (p, i) => positionErrors(p, `${path}/${i}`)));
+}
+
+function polygonErrors(coordinates, path) {
+  if(!_.isArray(coordinates) || coordinates.length === 0) {
+    return [{path, message: 'must have at least one ring'}];
+  }
+  return _.flatten(_.map(coordinates, (ring, i) => {
+    const ringPath = `${path}/${i}`;
+    if(!_.isArray(ring) || ring.length < 4) {
+      return [{path: ringPath, message: 'must have at least four positions'}];
+    }
+    const errors = _.flatten(_.map(ring, (p, j) => positionErrors(p, `${ringPath}/${j}`)));
+    return errors.length || _.isEqual(_.first(ring), _.last(ring)) ? errors : [{path: ringPath, message: 'is not closed'}];
+  }));
+}
+
+const multiErrors = (check) => (coordinates, path) => (
+  _.isArray(coordinates) ?
+    _.flatten(_.map(coordinates, (c, i) => check(c, `${path}/${i}`))) :
+    [{path, message: 'must be a list'}]);
+
+const coordinateChecks = {
+  Point: positionErrors,
+  MultiPoint: multiErrors(positionErrors),
+  LineString: lineErrors,
+  MultiLineString: multiErrors(lineErrors),
+  Polygon: polygonErrors,
+  MultiPolygon: multiErrors(polygonErrors)
+};
+
+/**
+ * The problems with a GeoJSON geometry.
+ *
+ * @param  {object} geometry - The geometry.  Features are checked by their geometry.
+ * @param  {string} path - Optional. The path to report errors under.
+ * @return {Array} - A list of <pre>{path, message}</pre>, empty if the geometry is valid.
+ */
+export function geometryErrors(geometry, path = '') {
+  const value = plain(geometry);
+  if(!_.isPlainObject(value)) {
+    return [{path, message: 'is not a GeoJSON geometry'}];
+  } else if(value.type === 'Feature') {
+    return geometryErrors(value.geometry, `${path}/geometry`);
+  } else if(!_.contains(GEOMETRY_TYPES, value.type)) {
+    return [{path: `${path}/type`, message: `must be one of ${GEOMETRY_TYPES.join(', ')}`}];
+  } else if(value.type === 'GeometryCollection') {
+    return _.isArray(value.geometries) ?
+      _.flatten(_.map(value.geometries, (g, i) => geometryErrors(g, `${path}/geometries/${i}`))) :
+      [{path: `${path}/geometries`, message: 'must be a list'}];
+  }
+  return coordinateChecks[value.type](value.coordinates, `${path}/coordinates`);
+}
+
+/**
+ * Check a geometry, returning it as plain GeoJSON.  Features are unwrapped to their geometry.
+ *
+ * @param  {object} geometry - The geometry.
+ * @param  {string} type - Optional. The geometry type it must have.
+ * @return {object} - The geometry.
+ * @throws {ValidationError} - If the geometry is not valid GeoJSON, or not of the given type.
+ */
+export function validateGeometry(geometry, type = null) {
+  let errors = geometryErrors(geometry);
+  let value = plain(geometry);
+  value = value && value.type === 'Feature' ? value.geometry : value;
+  if(!errors.length && type && value.type !== type) {
+    errors = [{path: '/type', message: `must be ${type}`}];
+  }
+  if(errors.length) {
+    throw new ValidationError(`Invalid geometry: ${_.map(errors, (e) => `${e.path || '/'} ${e.message}`).join('; ')}`, {errors});
+  }
+  return value;
+}
+
+function positionsOf(geometry) {
+  const value = plain(geometry);
+  if(!value) {
+    return [];
+  } else if(value.type === 'Feature') {
+    return positionsOf(value.geometry);
+  } else if(value.type === 'GeometryCollection') {
+    return _.flatten(_.map(value.geometries, positionsOf));
+  }
+
+  const depth = {Point: 0, MultiPoint: 1, LineString: 1, MultiLineString: 2, Polygon: 2, MultiPolygon: 3}[value.type];
+  let positions = [value.coordinates];
+  _.times(depth, () => { positions = _.flatten(positions); });
+  return positions;
+}
+
+const geometryOf = (doc, field) => (_.isFunction(field) ? field(doc) : (field ? _.get(plain(doc), field) : doc));
+
+/**
+ * The great-circle distance between two points.
+ *
+ * @param  {Array|object} from - A position or Point geometry.
+ * @param  {Array|object} to - A position or Point geometry.
+ * @param  {string} [unit='m'] - The unit of the result.
+ * @return {number}
+ */
+export function distanceBetween(from, to, unit = 'm') {
+  const [lon1, lat1] = positionOf(from);
+  const [lon2, lat2] = positionOf(to);
+  const a = Math.pow(Math.sin(radians(lat2 - lat1) / 2), 2) +
+    Math.cos(radians(lat1)) * Math.cos(radians(lat2)) * Math.pow(Math.sin(radians(lon2 - lon1) / 2), 2);
+  return convertDistance(2 * EARTH_RADIUS * Math.asin(Math.min(1, Math.sqrt(a))), 'm', unit);
+}
+
+/**
+ * The initial bearing of the great circle from one point to another.
+ *
+ * @return {number} - Degrees clockwise from north, from 0 up to 360.
+ */
+export function bearing(from, to) {
+  const [lon1, lat1] = positionOf(from);
+  const [lon2, lat2] = positionOf(to);
+  const dLambda = radians(lon2 - lon1);
+  const y = Math.sin(dLambda) * Math.cos(radians(lat2));
+  const x = Math.cos(radians(lat1)) * Math.sin(radians(lat2)) - Math.sin(radians(lat1)) * Math.cos(radians(lat2)) * Math.cos(dLambda);
+  return (degrees(Math.atan2(y, x)) + 360) % 360;
+}
+
+/**
+ * The bounding box of a list of documents or geometries, for example the results of a geospatial query.
+ *
+ * @param  {Array} docs - The documents or geometries.
+ * @param  {string|function} field - Optional. The field (or a path like 'address.location') holding
+ *                                   each document's geometry, or a function returning it.  Without
+ *                                   one, docs are taken to be geometries.
+ * @return {Array} - <pre>[west, south, east, north]</pre>, or null if there are no positions.
+ */
+export function bboxOf(docs, field = null) {
+  const positions = _.flatten(_.map(docs, (doc) => positionsOf(geometryOf(doc, field))));
+  if(!positions.length) {
+    return null;
+  }
+  const lons = _.pluck(positions, 0);
+  const lats = _.pluck(positions, 1);
+  return [_.min(lons), _.min(lats), _.max(lons), _.max(lats)];
+}
+
+/**
+ * The distance from a point to the nearest position of a geometry.  Exact for points; for other
+ * geometries it is measured to their nearest vertex.
+ */
+export function distanceTo(origin, geometry, unit = 'm') {
+  const positions = positionsOf(geometry);
+  return positions.length ? _.min(_.map(positions, (p) => distanceBetween(origin, p, unit))) : Infinity;
+}
+
+/**
+ * Sort documents by their distance from a point, nearest first, as getNearest does on the server.
+ * Documents without a geometry come last.
+ *
+ * @param  {Array} docs - The documents or geometries.
+ * @param  {Array|object} origin - A position or Point geometry.
+ * @param  {string|function} field - Optional. As for bboxOf().
+ * @return {Array} - A new, sorted array.
+ */
+export function sortByDistance(docs, origin, field = null) {
+  const from = positionOf(origin);
+  return _.sortBy(docs, (doc) => distanceTo(from, geometryOf(doc, field)));
+}
@@ -8,4 +8,22 @@ import _ from 'lodash';
 export * from './geom.js';
 export * from './functools.js';
 export * from './sondra.js';
-
+export * from './offline.js';
+export * from './changefeed.js';
+export * from './discovery.js';
+export * from './validation.js';
+export * from './pagination.js';
+export * from './cache.js';
+export * from './middleware.js';
+export * from './session.js';
+export * from './bulk.js';
+export * from './errors.js';
+export * from './cancellation.js';
+export * from './retry.js';
+export * from './evaluate.js';
+export * from './transport.js';
+export * from './connectivity.js';
+export * from './coalesce.js';
+export * from './store.js';
+export * from './decoders.js';
+export * from './stream.js';
@@ -0,0 +1,62 @@
+/**
+ * The middleware pipeline that every request made by a Sondra context passes through.
+ *
+ * A middleware is a function <pre>(request, next)</pre> that returns a promise of a fetch Response
+ * (or anything with <pre>ok</pre>, <pre>status</pre>, <pre>headers</pre> and <pre>json()</pre>).  The request is
+ * <pre>{url, options, context}</pre>: the URL and fetch options about to be sent, and the context making
+ * the request.  A middleware can:
+ *
+ * * change the request by passing a new one to <pre>next(request)</pre>;
+ * * answer the request itself by returning a response without calling next (see jsonResponse);
+ * * post-process the response or the error by chaining onto the promise that next returns.
+ *
+ * Middleware is added with <pre>context.use(middleware)</pre> and runs in the order it was added, the
+ * first added being outermost.  call(), robustCall() and the document helpers all use the same pipeline.
+ *
+ * @example
+ * const timing = (request, next) => {
+ *   const started = Date.now();
+ *   return next(request).then((rsp) => { console.log(request.url, Date.now() - started); return rsp; });
+ * };
+ * const tracing = (request, next) => next(_.merge({}, request, {options: {headers: {'X-Trace-Id': newTraceId()}}}));
+ * const suite = Sondra().suite('https', 'www.365pronto.com', 443).use(timing).use(tracing);
+ */
+import _ from 'lodash';
+import Promise from 'bluebird';
+
+/**
+ * Send a request through a list of middleware, ending with send.
+ *
+ * @param  {List} middleware - An Immutable List of middleware functions.
+ * @param  {object} request - <pre>{url, options, context}</pre>
+ * @param  {function(object)} send - The function that actually makes the request, after all middleware.
+ * @return {Promise} - Resolves to the response.
+ */
+export function runMiddleware(middleware, request, send) {
+  const dispatch = (i, req) => Promise.try(() => {
+    if(i < middleware.size) {
+      return middleware.get(i)(req, (nextRequest = req) => dispatch(i + 1, nextRequest));
+    } else {
+      return send(req);
+    }
+  });
+  return dispatch(0, request);
+}
+
+/**
+ * A minimal response for middleware that answers a request without going to the server.
+ *
+ * @param  {any} data - The JSON payload.
+ * @param  {number} [status=200] - The HTTP status.
+ * @param  {object} [headers={}] - Response headers.
+ * @return {object} - An object with the parts of the fetch Response interface that Sondra uses.
+ */
+export function jsonResponse(data, status = 200, headers = {}) {
+  const lowerCaseHeaders = _.mapKeys(headers, (v, k) => k.toLowerCase());
+  return {
+    ok: status >= 200 && status < 300,
+    status,
+    headers: {get: (name) => _.has(lowerCaseHeaders, name.toLowerCase()) ? lowerCaseHeaders[name.toLowerCase()] : null},
+    json: () => Promise.resolve(data)
+  };
+}
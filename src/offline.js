@@ -0,0 +1,306 @@
+/**
+ * A persistent queue for requests deferred by <pre>Sondra.robustCall</pre>.
+ *
+ * When a robust call fails because of the network, the full context of the request is written to
+ * the queue's storage before it is retried. If the page reloads or the app is killed while offline,
+ * the requests survive and can be replayed, in order, once the server can be reached again.
+ * Auth headers are redacted in storage, so tokens are never persisted; a replayed request takes
+ * them from the live context it is replayed with.
+ *
+ * @example
+ * var queue = new OfflineQueue(new IndexedDBQueueStorage());
+ * var core = Sondra().suite('https', 'www.365pronto.com', 443).app('core').offline(queue);
+ *
+ * queue.replay(core).then((results) => { ... });  // send anything left over from the last session.
+ * queue.list().then((pending) => { ... });  // [{deferredRequestId, priority, createdAt, url, requestMethod, context}, ...]
+ */
+import _ from 'lodash';
+import Promise from 'bluebird';
+import { Sondra, reserveDeferredRequestId } from './sondra.js';
+import { globalObject } from './transport.js';
+import { NetworkError, CancelledError } from './errors.js';
+
+const missing = (deferredRequestId) => Promise.reject(new Error(`No deferred request with id ${deferredRequestId}`));
+
+/**
+ * Queue storage that lives only as long as the page. Useful for tests.
+ */
+export class MemoryQueueStorage {
+  constructor() {
+    this.entries = {};
+  }
+
+  get(deferredRequestId) {
+    return Promise.resolve(this.entries[deferredRequestId] || null);
+  }
+
+  getAll() {
+    return Promise.resolve(_.values(this.entries));
+  }
+
+  put(entry) {
+    this.entries[entry.deferredRequestId] = entry;
+    return Promise.resolve(entry);
+  }
+
+  remove(deferredRequestId) {
+    delete this.entries[deferredRequestId];
+    return Promise.resolve();
+  }
+}
+
+/**
+ * Queue storage that keeps every entry as JSON under a single localStorage key.
+ *
+ * @param {string} [key='sondra.deferredRequests'] - The localStorage key to use.
+ * @param {Storage} [storage=window.localStorage] - Any object implementing the Web Storage API.
+ */
+export class LocalStorageQueueStorage {
+  constructor(key = 'sondra.deferredRequests', storage = globalObject.localStorage) {
+    this.key = key;
+    this.storage = storage;
+  }
+
+  _read() {
+    return JSON.parse(this.storage.getItem(this.key) || '{}');
+  }
+
+  _write(entries) {
+    this.storage.setItem(this.key, JSON.stringify(entries));
+  }
+
+  get(deferredRequestId) {
+    return Promise.try(() => this._read()[deferredRequestId] || null);
+  }
+
+  getAll() {
+    return Promise.try(() => _.values(this._read()));
+  }
+
+  put(entry) {
+    return Promise.try(() => {
+      const entries = this._read();
+      entries[entry.deferredRequestId] = entry;
+      this._write(entries);
+      return entry;
+    });
+  }
+
+  remove(deferredRequestId) {
+    return Promise.try(() => {
+      const entries = this._read();
+      delete entries[deferredRequestId];
+      this._write(entries);
+    });
+  }
+}
+
+/**
+ * Queue storage backed by an IndexedDB object store keyed on deferredRequestId.
+ *
+ * @param {string} [databaseName='sondra'] - The database to open or create.
+ * @param {string} [storeName='deferredRequests'] - The object store to keep entries in.
+ * @param {IDBFactory} [indexedDB=window.indexedDB] - The IndexedDB implementation to use.
+ */
+export class IndexedDBQueueStorage {
+  constructor(databaseName = 'sondra', storeName = 'deferredRequests', indexedDB = globalObject.indexedDB) {
+    this.databaseName = databaseName;
+    this.storeName = storeName;
+    this.indexedDB = indexedDB;
+    this.db = null;
+  }
+
+  _open() {
+    if(!this.db) {
+      this.db = new Promise((resolve, reject) => {
+        const rq = this.indexedDB.open(this.databaseName, 1);
+        rq.onupgradeneeded = () => { rq.result.createObjectStore(this.storeName, {keyPath: 'deferredRequestId'}); };
+        rq.onsuccess = () => resolve(rq.result);
+        rq.onerror = () => reject(rq.error);
+      });
+    }
+    return this.db;
+  }
+
+  _request(mode, action) {
+    return this._open().then((db) => new Promise((resolve, reject) => {
+      const rq = action(db.transaction(this.storeName, mode).objectStore(this.storeName));
+      rq.onsuccess = () => resolve(rq.result);
+      rq.onerror = () => reject(rq.error);
+    }));
+  }
+
+  get(deferredRequestId) {
+    return this._request('readonly', (store) => store.get(deferredRequestId)).then((entry) => entry || null);
+  }
+
+  getAll() {
+    // not every browser has IDBObjectStore.getAll, so walk a cursor instead.
+    return this._open().then((db) => new Promise((resolve, reject) => {
+      const entries = [];
+      const rq = db.transaction(this.storeName, 'readonly').objectStore(this.storeName).openCursor();
+      rq.onsuccess = () => {
+        const cursor = rq.result;
+        if(cursor) {
+          entries.push(cursor.value);
+          cursor.continue();
+        } else {
+          resolve(entries);
+        }
+      };
+      rq.onerror = () => reject(rq.error);
+    }));
+  }
+
+  put(entry) {
+    return this._request('readwrite', (store) => store.put(entry)).then(() => entry);
+  }
+
+  remove(deferredRequestId) {
+    return this._request('readwrite', (store) => store.delete(deferredRequestId)).then(() => undefined);
+  }
+}
+
+/**
+ * A queue of deferred requests, ordered by priority (highest first) and then by age (oldest first).
+ *
+ * Entries are added by robustCall the first time a request is deferred and removed when the server
+ * gives a definitive answer (success or an application error) or when the request is cancelled.
+ * Requests that give up because of the network stay in the queue so that they can be replayed.
+ *
+ * @param {object} [storage=new MemoryQueueStorage()] - A storage adapter implementing get, getAll, put and remove.
+ */
+export class OfflineQueue {
+  constructor(storage = new MemoryQueueStorage()) {
+    this.storage = storage;
+    this.cancelled = {};
+    this.inFlight = {};
+
+    // make sure requests deferred in this session don't reuse the id of one from a previous session.
+    this.ready = Promise.resolve(storage.getAll()).then((entries) => {
+      _.forEach(entries, ({deferredRequestId}) => reserveDeferredRequestId(deferredRequestId));
+    });
+  }
+
+  /**
+   * Persist a request. Calling this again for a request already in the queue leaves it untouched.
+   *
+   * @param  {number} deferredRequestId - The id handed out by robustCall.
+   * @param  {Sondra} context - The context of the request with the transient context applied.
+   * @return {Promise} - Resolves to the queue entry.
+   */
+  enqueue(deferredRequestId, context) {
+    this.inFlight[deferredRequestId] = true;
+    return this.ready
+      .then(() => this.storage.get(deferredRequestId))
+      .then((existing) => existing || this.storage.put({
+        deferredRequestId,
+        priority: 0,
+        createdAt: Date.now(),
+        url: context.get('url'),
+        requestMethod: context.get('requestMethod'),
+        context: context.serialize({auth: 'redact'})
+      }));
+  }
+
+  /**
+   * Remove a request from the queue because it has been answered by the server.
+   */
+  remove(deferredRequestId) {
+    delete this.inFlight[deferredRequestId];
+    return this.ready.then(() => this.storage.remove(deferredRequestId));
+  }
+
+  /**
+   * Note that this session has stopped retrying a request. It stays in the queue for replay.
+   */
+  release(deferredRequestId) {
+    delete this.inFlight[deferredRequestId];
+  }
+
+  /**
+   * @return {Promise} - Resolves to every pending entry in the order they will be replayed.
+   */
+  list() {
+    return this.ready
+      .then(() => this.storage.getAll())
+      .then((entries) => _.sortByOrder(entries, ['priority', 'createdAt', 'deferredRequestId'], [false, true, true]));
+  }
+
+  /**
+   * @return {Promise} - Resolves to a single entry, or null if there is no such request.
+   */
+  get(deferredRequestId) {
+    return this.ready.then(() => this.storage.get(deferredRequestId));
+  }
+
+  /**
+   * The context a queued request will be sent with.
+   *
+   * @param  {number} deferredRequestId - The id of the request.
+   * @param  {Sondra} live - Optional. A context to take runtime fields and redacted auth headers from, as in replay.
+   * @return {Promise} - Resolves to a Sondra context, or null if there is no such request.
+   */
+  context(deferredRequestId, live = null) {
+    return this.get(deferredRequestId).then((entry) => entry && Sondra.restore(entry.context, live));
+  }
+
+  /**
+   * Cancel a pending request. If this session is still retrying it, the retry loop stops and the
+   * robustCall promise rejects with a CancelledError whose reason is 'dequeued'.
+   */
+  cancel(deferredRequestId) {
+    this.cancelled[deferredRequestId] = true;
+    return this.remove(deferredRequestId);
+  }
+
+  isCancelled(deferredRequestId) {
+    return _.has(this.cancelled, deferredRequestId);
+  }
+
+  /**
+   * Change the priority of a pending request. Higher priorities are replayed first.
+   *
+   * @return {Promise} - Resolves to the updated entry.
+   */
+  prioritize(deferredRequestId, priority) {
+    return this.get(deferredRequestId).then((entry) =>
+      entry ? this.storage.put(_.assign({}, entry, {priority})) : missing(deferredRequestId));
+  }
+
+  /**
+   * Wait until the server answers a ping, then send every queued request that this session is not
+   * already retrying, one at a time and in order.  If the network drops again part way through,
+   * replay stops and the remaining requests stay queued.
+   *
+   * @param  {Sondra} context - Any context for the suite. It is used to ping the server.
+   * @param  {function(string, string, object)} temporaryErrorCallback - Optional. Passed through to robustCall.
+   * @return {Promise} - Resolves to a list of robustCall results: <pre>{deferredRequestId, data}</pre> for
+   *                     successes and SondraErrors for application errors.
+   */
+  replay(context, temporaryErrorCallback = undefined) {
+    const refetchDelay = context.getIn(['robust', 'refetchDelay']);
+    const waitUntilOnline = () => context._isOnline().catch(() => Promise.delay(refetchDelay).then(waitUntilOnline));
+    const results = [];
+    let stopped = false;
+
+    return waitUntilOnline()
+      .then(() => this.list())
+      .then((entries) => Promise.each(entries, ({deferredRequestId, context: ctx}) => {
+        if(stopped || this.inFlight[deferredRequestId] || this.isCancelled(deferredRequestId)) {
+          return null;
+        }
+        this.inFlight[deferredRequestId] = true;
+        return Sondra.restore(ctx, context).offline(this)
+          .robustCall({}, temporaryErrorCallback, 'fail', 0, deferredRequestId)
+          .then((rsp) => { results.push(rsp); }, (err) => {
+            if(!(err instanceof NetworkError || err instanceof CancelledError)) {
+              results.push(err);
+            } else {
+              stopped = true;
+            }
+          });
+      }))
+      .then(() => results);
+  }
+}
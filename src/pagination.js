@@ -0,0 +1,137 @@
+/**
+ * Iterators that page through the documents in a collection.
+ *
+ * Both iterators implement the async iterator protocol: <pre>next()</pre> returns a promise of
+ * <pre>{done, value}</pre>, and where the runtime has <pre>Symbol.asyncIterator</pre> they can be used with
+ * <pre>for await</pre>.  Each page is fetched with the querySet's <pre>start</pre> and <pre>limit</pre> replaced,
+ * and iteration stops at the first page shorter than the page size.  A <pre>limit</pre> or <pre>end</pre>
+ * the querySet already has bounds the iteration: it stops there, and the last page asks only for what is left.
+ *
+ * <pre>cursor()</pre> is the offset of the next document the iterator will produce.  Pass it as the
+ * <pre>cursor</pre> option to pick up where an earlier iterator left off.
+ *
+ * @example
+ * const docs = tickets.iterate(new QuerySet().eq('status', 'open'), {pageSize: 50});
+ * docs.next().then(({done, value}) => { ... });
+ *
+ * const pages = tickets.pages(null, {pageSize: 50, robust: true});
+ * pages.next().then(({done, value}) => { ... value is a list of up to 50 documents ... });
+ */
+import _ from 'lodash';
+import Promise from 'bluebird';
+
+const DEFAULT_PAGE_SIZE = 100;
+const asyncIterator = (typeof Symbol !== 'undefined' && Symbol.asyncIterator) || '@@asyncIterator';
+const finished = () => ({done: true, value: undefined});
+
+/**
+ * Run calls to step one at a time, so that next() may be called again before the last call resolves.
+ * A step that fails does not prevent the next one from running.
+ */
+const serialize = (iterator, step) => {
+  const result = iterator.pending.then(step);
+  iterator.pending = result.catch(() => null);
+  return result;
+};
+
+/**
+ * An iterator over pages (lists of documents) of a collection.
+ *
+ * @param {Sondra} context - The collection.
+ * @param {QuerySet} querySet - The query to page through.
+ * @param {object} options - <pre>{pageSize, cursor, robust, transientContext}</pre>. If robust is true,
+ *                           pages are fetched with robustCall rather than call.
+ */
+export class PageIterator {
+  constructor(context, querySet, {pageSize = DEFAULT_PAGE_SIZE, cursor = null, robust = false, transientContext = {}} = {}) {
+    this.context = context;
+    this.querySet = querySet;
+    this.pageSize = pageSize;
+    this.robust = robust;
+    this.transientContext = transientContext;
+    const { start = 0, end, limit } = querySet.value(false);
+    this.position = cursor !== null ? cursor : start;
+    this.stop = Math.min(_.isNumber(end) ? end : Infinity, _.isNumber(limit) ? start + limit : Infinity);
+    this.done = false;
+    this.pending = Promise.resolve();
+  }
+
+  cursor() {
+    return this.position;
+  }
+
+  _fetch(size) {
+    const page = this.context.query(this.querySet.start(this.position).limit(size));
+    if(this.robust) {
+      return page.robustCall(this.transientContext).then((rsp) => (rsp ? rsp.data : []));
+    } else {
+      return page.call(this.transientContext);
+    }
+  }
+
+  next() {
+    return serialize(this, () => {
+      const size = Math.min(this.pageSize, this.stop - this.position);
+      if(this.done || size <= 0) {
+        return finished();
+      }
+      return this._fetch(size).then((docs) => {
+        this.position += docs.length;
+        this.done = docs.length < size || this.position >= this.stop;
+        return docs.length ? {done: false, value: docs} : finished();
+      });
+    });
+  }
+
+  return() {
+    this.done = true;
+    return Promise.resolve(finished());
+  }
+
+  [asyncIterator]() {
+    return this;
+  }
+}
+
+/**
+ * An iterator over the individual documents of a collection.  Takes the same arguments as PageIterator.
+ */
+export class DocumentIterator {
+  constructor(context, querySet, options = {}) {
+    this.pages = new PageIterator(context, querySet, options);
+    this.position = this.pages.cursor();
+    this.buffer = [];
+    this.pending = Promise.resolve();
+  }
+
+  cursor() {
+    return this.position;
+  }
+
+  _next() {
+    if(this.buffer.length) {
+      this.position += 1;
+      return Promise.resolve({done: false, value: this.buffer.shift()});
+    }
+    return this.pages.next().then(({done, value}) => {
+      if(done) {
+        return finished();
+      }
+      this.buffer = value.slice();
+      return this._next();
+    });
+  }
+
+  next() {
+    return serialize(this, () => this._next());
+  }
+
+  return() {
+    this.buffer = [];
+    return this.pages.return();
+  }
+
+  [asyncIterator]() {
+    return this;
+  }
+}
@@ -0,0 +1,110 @@
+/**
+ * The retry policy that robustCall follows.
+ *
+ * The policy lives in the <pre>robust</pre> map of a context:
+ *
+ * * <pre>refetchDelay</pre> (1500) is the delay before the first retry, in milliseconds.  Each
+ *   following retry waits <pre>backoff</pre> (2) times longer, up to <pre>maxDelay</pre> (60000).
+ * * <pre>jitter</pre> (0.5) shortens each delay by a random fraction of up to this much, so that
+ *   clients which failed together do not all retry together.  0 turns jitter off.
+ * * <pre>maxTries</pre> (10) is the most retries made for one request, counting network errors and
+ *   retryable statuses alike.
+ * * <pre>retryStatuses</pre> (408, 429, 502, 503 and 504) are the HTTP statuses that are retried like a
+ *   network error instead of rejecting.  If the response has a <pre>Retry-After</pre> header, the
+ *   retry waits at least that long.  If that is longer than maxDelay, the request is not retried
+ *   and rejects with the retryable error instead.
+ * * <pre>retryBudget</pre> is a RetryBudget shared by every context in the suite.  Each retry spends a
+ *   token from it, and when it is empty requests fail instead of retrying.  Waiting for the network
+ *   to come back does not spend tokens.
+ *
+ * @example
+ * const suite = Sondra().suite('https', 'www.365pronto.com', 443)
+ *   .setIn(['robust', 'maxDelay'], 10000)
+ *   .setIn(['robust', 'retryStatuses'], Set([503]))
+ *   .retryBudget({capacity: 50, refillPerSecond: 2});
+ */
+import { Set } from 'immutable';
+import _ from 'lodash';
+
+export const DEFAULT_RETRY_STATUSES = Set([408, 429, 502, 503, 504]);
+
+const DEFAULT_BUDGET_CAPACITY = 20;
+const DEFAULT_BUDGET_REFILL_PER_SEC = 1;
+
+/**
+ * The delay asked for by a Retry-After header, in milliseconds.
+ *
+ * @param  {string} value - A number of seconds or an HTTP date.
+ * @return {number} - The delay, or null if there is no usable header.
+ */
+export function retryAfterDelay(value) {
+  if(value === null || value === undefined || value === '') {
+    return null;
+  } else if(/^\s*\d+(\.\d+)?\s*$/.test(value)) {
+    return Math.round(parseFloat(value) * 1000);
+  }
+  const date = Date.parse(value);
+  return _.isNaN(date) ? null : Math.max(date - Date.now(), 0);
+}
+
+/**
+ * How long to wait before a retry.
+ *
+ * @param  {Map} robust - The context's robust map.
+ * @param  {number} attempt - The number of retries already made, starting at 0.
+ * @param  {string} retryAfter - Optional. The Retry-After header of the failed response.
+ * @return {number} - Milliseconds, at most the policy's maxDelay, or null if Retry-After asks for longer.
+ */
+export function retryDelay(robust, attempt, retryAfter = null) {
+  const { refetchDelay, backoff, maxDelay, jitter } = robust.toObject();
+  const delay = Math.min(refetchDelay * Math.pow(backoff, attempt), maxDelay);
+  const jittered = Math.round(delay * (1 - jitter * Math.random()));
+  const asked = retryAfterDelay(retryAfter);
+  if(asked === null) {
+    return jittered;
+  }
+  return asked > maxDelay ? null : Math.max(asked, jittered);
+}
+
+/**
+ * Whether a response with this status should be retried.
+ */
+export const isRetryableStatus = (robust, status) => robust.get('retryStatuses').contains(status);
+
+/**
+ * A token bucket that limits how many retries the contexts sharing it make.
+ *
+ * @param {object} options - <pre>{capacity, refillPerSecond}</pre>. The bucket starts full, holds at most
+ *                           capacity tokens, and regains refillPerSecond tokens every second.
+ */
+export class RetryBudget {
+  constructor({capacity = DEFAULT_BUDGET_CAPACITY, refillPerSecond = DEFAULT_BUDGET_REFILL_PER_SEC} = {}) {
+    this.capacity = capacity;
+    this.refillPerSecond = refillPerSecond;
+    this.tokens = capacity;
+    this.updated = Date.now();
+  }
+
+  /**
+   * The number of whole tokens left.
+   */
+  available() {
+    const now = Date.now();
+    this.tokens = Math.min(this.capacity, this.tokens + (now - this.updated) * this.refillPerSecond / 1000);
+    this.updated = now;
+    return Math.floor(this.tokens);
+  }
+
+  /**
+   * Spend a token if there is one.
+   *
+   * @return {boolean} - true if a retry may go ahead.
+   */
+  withdraw() {
+    if(this.available() < 1) {
+      return false;
+    }
+    this.tokens -= 1;
+    return true;
+  }
+}
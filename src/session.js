@@ -0,0 +1,233 @@
+/**
+ * An authentication session that logs in through the suite's auth app and keeps its token fresh.
+ *
+ * The session supplies a middleware (see middleware.js) that adds an <pre>Authorization: Bearer</pre>
+ * header to every request.  Shortly before the token expires it is renewed through the auth app,
+ * and a request answered with 401 is renewed and replayed once with the new token.  Concurrent
+ * requests share a single renewal.  If the auth app rejects a renewal (400, 401 or 403), the session
+ * forgets its token and emits a <pre>logout</pre> event.  Any other failure, such as a network error
+ * or a 5xx, keeps the session and its token, so a flaky connection does not log the user out.
+ * A login or renewal whose response holds no token rejects with an AuthError and leaves the session as it was.
+ *
+ * @example
+ * var session = new AuthSession(suite);
+ * session.on('logout', ({reason}) => showLoginScreen(reason));
+ * session.login({username: 'jefferson', password: '...'}).then(() => {
+ *   const core = session.attach(suite.app('core'));
+ *   return core.collection('tickets').call();
+ * });
+ */
+import _ from 'lodash';
+import Promise from 'bluebird';
+import { AuthError } from './errors.js';
+
+const DEFAULT_REFRESH_MARGIN_MILLISEC = 60000;
+
+// statuses from the refresh method that mean the token can no longer be renewed.
+const REJECTED_STATUSES = [400, 401, 403];
+
+const decodeBase64 = (s) => (typeof atob === 'function' ? atob(s) : Buffer.from(s, 'base64').toString('binary'));
+
+/**
+ * The expiry time of a JSON Web Token in milliseconds since the epoch, or null if the token is not
+ * a JWT or carries no exp claim.
+ */
+export function tokenExpiry(token) {
+  const parts = _.isString(token) ? token.split('.') : [];
+  if(parts.length !== 3) {
+    return null;
+  }
+  try {
+    const claims = JSON.parse(decodeBase64(parts[1].replace(/-/g, '+').replace(/_/g, '/')));
+    return _.isNumber(claims.exp) ? claims.exp * 1000 : null;
+  } catch(error) {
+    return null;
+  }
+}
+
+// Sondra wraps scalar return values from methods as {_: value}.
+const unwrap = (rsp) => (_.isString(rsp) ? rsp : rsp && rsp._);
+
+const withAuthorization = (request, token) => _.assign({}, request, {
+  options: _.assign({}, request.options, {
+    headers: _.assign({}, request.options.headers, {Authorization: `Bearer ${token}`})
+  })
+});
+
+/**
+ * @param {Sondra} suite - Any context in the suite. The session's own calls to the auth app do not
+ *                         go through the session's middleware.
+ * @param {object} options - Optional.
+ *   <pre>app</pre> ('auth'), <pre>loginMethod</pre> ('login'), <pre>refreshMethod</pre> ('renew') and
+ *   <pre>logoutMethod</pre> ('logout') name the auth app and its methods.
+ *   <pre>refreshBody</pre> (<pre>token => ({refresh_token: token})</pre>) builds the body of a renewal.
+ *   <pre>tokenFrom</pre> (<pre>rsp => rsp._</pre>) reads the token from the response to a login or renewal.
+ *   <pre>refreshMargin</pre> (60000) is how long before expiry to renew, in milliseconds.
+ *   <pre>expiresIn</pre> (null) is the lifetime of tokens that are not JWTs.  If null they are only renewed on a 401.
+ */
+export class AuthSession {
+  constructor(suite, {
+    app = 'auth',
+    loginMethod = 'login',
+    refreshMethod = 'renew',
+    logoutMethod = 'logout',
+    refreshBody = (token) => ({refresh_token: token}),
+    tokenFrom = unwrap,
+    refreshMargin = DEFAULT_REFRESH_MARGIN_MILLISEC,
+    expiresIn = null
+  } = {}) {
+    this.auth = suite.app(app);
+    this.loginMethod = loginMethod;
+    this.refreshMethod = refreshMethod;
+    this.logoutMethod = logoutMethod;
+    this.refreshBody = refreshBody;
+    this.tokenFrom = tokenFrom;
+    this.refreshMargin = refreshMargin;
+    this.expiresIn = expiresIn;
+    this.token = null;
+    this.expires = null;
+    this.refreshing = null;
+    this.listeners = {};
+  }
+
+  /**
+   * Listen for 'login', 'refresh' or 'logout' events.
+   *
+   * @return {function} - Call this to stop listening.
+   */
+  on(event, listener) {
+    this.listeners[event] = (this.listeners[event] || []).concat([listener]);
+    return () => { this.listeners[event] = _.without(this.listeners[event], listener); };
+  }
+
+  _emit(event, payload) {
+    _.forEach(this.listeners[event] || [], (listener) => listener(payload));
+  }
+
+  // the token in a response to the named method, which must be a non-empty string.
+  _tokenIn(rsp, methodName) {
+    const token = this.tokenFrom(rsp);
+    if(!_.isString(token) || token === '') {
+      throw new AuthError(`The ${methodName} method of the auth app did not return a token`, {
+        method: 'POST', url: this.auth.method(methodName).get('url'), payload: rsp
+      });
+    }
+    return token;
+  }
+
+  _setToken(token) {
+    this.token = token;
+    const expiry = tokenExpiry(token);
+    this.expires = expiry !== null ? expiry : (this.expiresIn !== null ? Date.now() + this.expiresIn : null);
+    return token;
+  }
+
+  _forget(reason) {
+    this.token = null;
+    this.expires = null;
+    this._emit('logout', {reason});
+  }
+
+  isLoggedIn() {
+    return this.token !== null;
+  }
+
+  /**
+   * Log in with the auth app's login method.
+   *
+   * @param  {object} credentials - The body of the login call, usually <pre>{username, password}</pre>.
+   * @return {Promise} - Resolves to the token. Rejects with an AuthError if the response holds no token.
+   */
+  login(credentials) {
+    return this.auth.method(this.loginMethod).call({body: credentials}).then((rsp) => {
+      const token = this._setToken(this._tokenIn(rsp, this.loginMethod));
+      this._emit('login', {token});
+      return token;
+    });
+  }
+
+  /**
+   * Forget the token and tell the server to invalidate it.  Failures on the server are ignored.
+   */
+  logout() {
+    const token = this.token;
+    this._forget('logout');
+    if(token === null) {
+      return Promise.resolve();
+    }
+    return Promise.resolve(this.auth.method(this.logoutMethod).call({body: {token}})).catch(() => null).then(() => undefined);
+  }
+
+  /**
+   * Renew the token.  Concurrent calls share a single request.  If the token has already been
+   * renewed since staleToken was handed out, the current token is returned without a request.
+   *
+   * @param  {string} staleToken - Optional. The token that prompted the renewal.
+   * @return {Promise} - Resolves to the new token. Rejects if renewal fails, and emits 'logout' if the auth app rejected it.
+   */
+  refresh(staleToken = this.token) {
+    if(this.refreshing) {
+      return this.refreshing;
+    } else if(this.token === null) {
+      return Promise.reject(new AuthError('Not logged in', {method: 'POST', url: this.auth.method(this.refreshMethod).get('url')}));
+    } else if(staleToken !== this.token) {
+      return Promise.resolve(this.token);
+    }
+
+    this.refreshing = Promise.resolve(this.auth.method(this.refreshMethod).call({body: this.refreshBody(this.token)}))
+      .then((rsp) => {
+        const token = this._setToken(this._tokenIn(rsp, this.refreshMethod));
+        this._emit('refresh', {token});
+        return token;
+      }, (error) => {
+        if(_.contains(REJECTED_STATUSES, error.status)) {
+          this._forget('refresh failed');
+        }
+        return Promise.reject(error);
+      })
+      .finally(() => { this.refreshing = null; });
+    return this.refreshing;
+  }
+
+  /**
+   * @return {Promise} - Resolves to a token that is not about to expire, renewing it first if
+   *                     necessary, or null if the session is not logged in.  If renewal fails it
+   *                     resolves to whatever token the session still has, so that the request
+   *                     is sent and fails or succeeds on its own.
+   */
+  validToken() {
+    if(this.refreshing) {
+      return this.refreshing.catch(() => this.token);
+    } else if(this.token !== null && this.expires !== null && this.expires - Date.now() < this.refreshMargin) {
+      return this.refresh(this.token).catch(() => this.token);
+    } else {
+      return Promise.resolve(this.token);
+    }
+  }
+
+  /**
+   * A middleware that authorizes requests with the session's token.
+   */
+  middleware() {
+    return (request, next) => this.validToken().then((token) => {
+      if(token === null) {
+        return next(request);
+      }
+      return next(withAuthorization(request, token)).then((rsp) => {
+        if(rsp.status !== 401) {
+          return rsp;
+        }
+        // replay the request once with a renewed token. If renewal fails, the caller gets the 401.
+        return this.refresh(token).then((newToken) => next(withAuthorization(request, newToken)), () => rsp);
+      });
+    });
+  }
+
+  /**
+   * @param  {Sondra} context - Any context.
+   * @return {Sondra} - The context, with its requests authorized by this session.
+   */
+  attach(context) {
+    return context.use(this.middleware());
+  }
+}
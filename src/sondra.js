@@ -22,9 +22,30 @@ import Immutable, { Record, OrderedMap, List, Map } from 'immutable';
 import _ from 'lodash';
 import Promise from 'bluebird';
 import { thread } from './functools.js';
+import { Subscription, socketUrl } from './changefeed.js';
+import { discover, checkApp, checkCollection, checkMethod } from './discovery.js';
+import { SchemaCache, validateRequest } from './validation.js';
+import { PageIterator, DocumentIterator } from './pagination.js';
+import { ResponseCache } from './cache.js';
+import { runMiddleware } from './middleware.js';
+import { bulkWrite, keyedItems, withPrimaryKeys } from './bulk.js';
+import { cancellationFor, cancellableFetch, cancellableDelay, raceCancellation } from './cancellation.js';
+import { CancelledError, NetworkError, errorForStatus, asSondraError } from './errors.js';
+import { RetryBudget, DEFAULT_RETRY_STATUSES, retryDelay, isRetryableStatus } from './retry.js';
+import { defaultTransport } from './transport.js';
+import { defaultConnectivity } from './connectivity.js';
+import { InFlightRequests } from './coalesce.js';
+import { validateGeometry, validateUnit } from './geom.js';
+import { evaluateQuery } from './evaluate.js';
+import { DocumentStore } from './store.js';
+import { defaultDecoders, decodeResponse } from './decoders.js';
+import { DocumentStream } from './stream.js';
 
 const DefaultFormattingOptions = List([{format: 'json'}]);
 
+// A ;-separated param of a URL, which may contain the ; of an entity escaped by responseFormat.
+const ESCAPED_PARAM = /(?:&(?:amp|lt|gt|quot|#39|#96);|[^;])+/g;
+
 const responseFormat = (fmt = DefaultFormattingOptions.toJS()) => thread(
   fmt, // initial value.
   _.partial(_.map, _, (v, k) => `${_.escape(k)}=${_.escape(v)}`)).join(';');
@@ -32,11 +53,46 @@ const responseFormat = (fmt = DefaultFormattingOptions.toJS()) => thread(
 const _logTemporaryError = (...args) => { console.error(args); }
 let nextDeferredRequestId = 1;
 
+/**
+ * Make sure that robustCall never hands out a deferredRequestId that is already in use, for example
+ * by a request persisted in an OfflineQueue during a previous session.
+ *
+ * @param {number} deferredRequestId - An id that is taken.
+ */
+export function reserveDeferredRequestId(deferredRequestId) {
+  nextDeferredRequestId = Math.max(nextDeferredRequestId, deferredRequestId + 1);
+}
+
 const REFETCH_MILLISEC = 1500;
+const MAX_REFETCH_MILLISEC = 60000;
+const REFETCH_BACKOFF = 2;
+const REFETCH_JITTER = 0.5;
 const DEFAULT_MAX_TRIES = 10;
+const RECONNECT_MILLISEC = 1000;
+const MAX_RECONNECT_MILLISEC = 30000;
+const DEFAULT_BULK_CONCURRENCY = 4;
 
 const initialQuery = OrderedMap({});
 
+/**
+ * The list of filters in a group argument to QuerySet.or, .and, or .not.
+ *
+ * @param  {QuerySet|function|object|Array} group - A QuerySet, a function that takes an empty QuerySet
+ *                                                  and returns one with filters applied, or a raw filter or list of filters.
+ * @return {List} - The filters, which the server ANDs together.
+ */
+const filterGroup = (group) => {
+  if(_.isFunction(group)) {
+    return filterGroup(group(new QuerySet()));
+  } else if(group instanceof QuerySet) {
+    return group.q.get('flt', List());
+  } else if(_.isArray(group)) {
+    return Immutable.fromJS(group);
+  } else {
+    return List([Immutable.fromJS(group)]);
+  }
+};
+
 /**
  * A QuerySet object to be used to limit the documents retrieved from a Sondra collection.
  *
@@ -160,15 +216,80 @@ export class QuerySet {
     return new QuerySet(q1);
   }
 
+  ne(lhs, rhs, dflt=false) {
+    return this._filter(Map({op: '!=', lhs, rhs, "default": dflt}));
+  }
+
+  /**
+   * Filter: lhs is one of the values in rhs.
+   */
+  in(lhs, rhs, dflt=false) {
+    return this._filter(Map({op: 'in', lhs, rhs: List(rhs), "default": dflt}));
+  }
+
+  /**
+   * Filter: lower <= lhs <= upper.
+   */
+  between(lhs, lower, upper, dflt=false) {
+    return this._filter(Map({op: 'between', lhs, rhs: List([lower, upper]), "default": dflt}));
+  }
+
+  /**
+   * Filter: documents matching any of the groups.  Each group is a QuerySet whose filters are ANDed
+   * together, a function that applies filters to an empty QuerySet, or raw filters.
+   *
+   * @example
+   * new QuerySet().or(q => q.eq('status', 'open'), q => q.eq('assignee', 'me'))
+   * // flt: [{op: 'or', args: [[{op: '==', lhs: 'status', ...}], [{op: '==', lhs: 'assignee', ...}]]}]
+   */
+  or(...groups) {
+    return this._filter(Map({op: 'or', args: List(_.map(groups, filterGroup))}));
+  }
+
+  /**
+   * Filter: documents matching all of the groups.  Takes the same arguments as <pre>or</pre>.
+   */
+  and(...groups) {
+    return this._filter(Map({op: 'and', args: List(_.map(groups, filterGroup))}));
+  }
+
+  /**
+   * Filter: documents that do not match the group.  Takes a single argument of the same kind as <pre>or</pre>.
+   */
+  not(group) {
+    return this._filter(Map({op: 'not', args: List([filterGroup(group)])}));
+  }
+
+  _filter(op) {
+    return new QuerySet(this.q.set('flt', this.q.get('flt', List()).push(op)));
+  }
+
+  /**
+   * Documents whose geometry intersects the given one.  See geom.js for builders.
+   *
+   * @param {object} geometry - A GeoJSON geometry (or a Feature).  Throws a ValidationError if it is not valid.
+   * @param {string} against - Optional. The geospatial index to use.
+   */
   getIntersecting(geometry, against=null) {
-    let op = Immutable.fromJS({'op': 'get_intersecting', args: [geometry]});
+    let op = Immutable.fromJS({'op': 'get_intersecting', args: [validateGeometry(geometry)]});
     if(against) {
       op = op.set('against', against);
     }
     return new QuerySet(this.q.set('geo', op));
   }
 
+  /**
+   * The documents nearest a point, nearest first.
+   *
+   * @param {object} point - A Point geometry (or a Feature).  Throws a ValidationError if it is not valid.
+   * @param {string} against - Optional. The geospatial index to use.
+   * @param {number} max_results - The most documents to return.
+   * @param {number} max_dist - The furthest a document may be from the point, in <pre>unit</pre>s.
+   * @param {string} unit - 'm', 'km', 'mi', 'nm' or 'ft'.
+   */
   getNearest(point, against=null, max_results=100, max_dist=100000, unit='m') {
+    point = validateGeometry(point, 'Point');
+    validateUnit(unit);
     let op = Immutable.fromJS({'op': 'get_nearest', args: [point], kwargs: {max_results, max_dist, unit}});
     if(against) {
       op = op.set('against', against);
@@ -236,6 +357,18 @@ export class QuerySet {
     return new QuerySet(this.q.set('agg', Map({op: 'max', kwargs: {index}})));
   }
 
+  /**
+   * Run this query against documents held in memory, with the same results the server would give.
+   * Geospatial queries are not supported.  See evaluate.js.
+   *
+   * @param  {Array|List} docs - The documents, in order.  Immutable collections are converted to plain JS.
+   * @param  {object} options - Optional. <pre>{primaryKey}</pre>, the field that <pre>keys</pre> refer to when there is no index. Defaults to 'id'.
+   * @return {any} - The selected documents, or the result of the aggregation.
+   */
+  evaluate(docs, options) {
+    return evaluateQuery(this.value(false), docs && _.isFunction(docs.toJS) ? docs.toJS() : docs, options);
+  }
+
   value(cook = true) {
     if(cook) {
       let ret = {};
@@ -261,6 +394,31 @@ export class QuerySet {
 }
 
 
+/**
+ * Fields of a context that hold live objects and functions rather than data.  They are not serialized;
+ * a restored context has their defaults, or takes them from a live context.
+ */
+export const runtimeFields = ['offlineQueue', 'api', 'changefeed', 'validation', 'cache', 'store', 'middleware', 'signal', 'transport', 'connectivity', 'inFlight', 'decoders'];
+// Runtime values nested in the context's option maps.
+const runtimePaths = [['robust', 'retryBudget']];
+
+/**
+ * The value that replaces auth headers in a context serialized with <pre>{auth: 'redact'}</pre>.
+ */
+export const REDACTED = '[redacted]';
+const DEFAULT_AUTH_HEADERS = ['Authorization', 'Proxy-Authorization', 'Cookie', 'X-Api-Key'];
+
+// Convert a serialized value back to the Immutable type of the default it replaces.
+const reviveLike = (template, value) => {
+  if(Immutable.Set.isSet(template) && _.isArray(value)) {
+    return Immutable.Set(value);
+  } else if(Map.isMap(template) && _.isPlainObject(value)) {
+    const empty = OrderedMap.isOrderedMap(template) ? OrderedMap() : Map();
+    return empty.withMutations((m) => _.forEach(value, (v, k) => m.set(k, reviveLike(template.get(k), v))));
+  }
+  return Immutable.fromJS(value);
+};
+
 const DefaultBasePath = List(['api']);
 const DefaultContext = Record({
   protocol: 'https',
@@ -282,20 +440,46 @@ const DefaultContext = Record({
   body: OrderedMap({}),
   querySet: new QuerySet(),
   api: {},
+  offlineQueue: null,
+  validation: null,
+  cache: null,
+  store: null,
+  optimistic: false,
+  middleware: List(),
+  timeout: null,
+  signal: null,
+  transport: null,
+  connectivity: null,
+  inFlight: null,
+  coalesce: true,
+  decoders: null,
   robust: Map({
     maxTries: DEFAULT_MAX_TRIES,
     refetchDelay: REFETCH_MILLISEC,
+    backoff: REFETCH_BACKOFF,
+    maxDelay: MAX_REFETCH_MILLISEC,
+    jitter: REFETCH_JITTER,
+    retryStatuses: DEFAULT_RETRY_STATUSES,
+    retryBudget: null,
     pingPath: '/ping'
+  }),
+  bulk: Map({
+    concurrency: DEFAULT_BULK_CONCURRENCY,
+    endpoint: false,
+    primaryKey: 'id'
+  }),
+  changefeed: Map({
+    reconnectDelay: RECONNECT_MILLISEC,
+    maxReconnectDelay: MAX_RECONNECT_MILLISEC,
+    WebSocket: null
   })
 });
 
 export class Sondra extends DefaultContext {
   suite(protocol='https', host='localhost', port=443, basePath=DefaultBasePath) {
-    const s = this.merge({
-      protocol, host, port
-    });
-
-    return s.set('url', s.calculateUrl());
+    return this.merge({
+      protocol, host, port, basePath
+    }).setIn(['robust', 'retryBudget'], new RetryBudget()).set('inFlight', new InFlightRequests()).calculateUrl();
   }
 
   calculateUrl() {
@@ -318,26 +502,21 @@ export class Sondra extends DefaultContext {
     return this.set('url', url);
   }
 
-  _isOnline() {
-    const NoConnection = _.has(window, 'Connection') ? Connection.NONE : false;
-    const host = this.get('host');
-    const protocol = this.get('protocol');
-    const port = this.get('port');
+  _isOnline(token=null) {
+    const { protocol, host, port, transport, connectivity } = this.toObject();
     const pingPath = this.getIn(['robust', 'pingPath']);
-    const ping = `${protocol}://${host}:${port}${pingPath}`;
+    const url = `${protocol}://${host}:${port}${pingPath}`;
+    const ping = () => cancellableFetch(url, {method: 'HEAD'}, token, transport || defaultTransport())
+      .catch((err) => Promise.reject(asSondraError(err, {url, method: 'HEAD'})));
 
-    if(!_.has(navigator, 'connection.type')) {
-      return fetch(ping, {method: 'HEAD'});
-    } else if(navigator.connection.type !== NoConnection) {
-      return fetch(ping, {method: 'HEAD'});
-    } else {
-      return new Promise(function(resolve, reject) {
-        reject("not online");
-      });
+    if(token && token.aborted) {
+      return Promise.reject(new CancelledError(url, token.reason));
     }
+    return Promise.resolve((connectivity || defaultConnectivity())(ping, url));
   }
 
   app(name) {
+    checkApp(this.get('api'), name);
     return this.merge({
       app: name,
       collection: null,
@@ -348,6 +527,7 @@ export class Sondra extends DefaultContext {
   }
 
   collection(name) {
+    checkCollection(this.get('api'), this.get('app'), name);
     return this.merge({
       collection: name,
       document: null,
@@ -365,6 +545,8 @@ export class Sondra extends DefaultContext {
   }
 
   method(name) {
+    const { api, app, collection, document } = this.toObject();
+    checkMethod(api, app, collection, document, name);
     return this.merge({
       requestMethod: 'POST',
       method: name,
@@ -384,6 +566,82 @@ export class Sondra extends DefaultContext {
     return this.set('requestMethod', m);
   }
 
+  /**
+   * Turn client-side schema validation of document writes and method calls on or off for this
+   * context and every context derived from it.  See validation.js.
+   */
+  validating(enabled=true) {
+    return this.set('validation', enabled ? new SchemaCache() : null);
+  }
+
+  /**
+   * Replace the retry budget that robustCall spends from.  Every suite starts with its own budget,
+   * shared by the contexts derived from it.  See retry.js.
+   *
+   * @param  {object|RetryBudget|boolean} options - <pre>{capacity, refillPerSecond}</pre> for a new budget, an existing budget to share, or false for unlimited retries.
+   */
+  retryBudget(options={}) {
+    if(options === false) {
+      return this.setIn(['robust', 'retryBudget'], null);
+    } else {
+      return this.setIn(['robust', 'retryBudget'], options instanceof RetryBudget ? options : new RetryBudget(options));
+    }
+  }
+
+  /**
+   * Get or set the transport that sends this context's requests.  See transport.js.
+   */
+  transport(transport=undefined) {
+    if(transport === undefined) {
+      return this.get('transport');
+    } else {
+      return this.set('transport', transport);
+    }
+  }
+
+  /**
+   * Get or set the detector robustCall uses to check that the server can be reached.  See connectivity.js.
+   */
+  connectivity(detector=undefined) {
+    if(detector === undefined) {
+      return this.get('connectivity');
+    } else {
+      return this.set('connectivity', detector);
+    }
+  }
+
+  /**
+   * Get or set the DecoderRegistry that decodes this context's responses.  See decoders.js.
+   */
+  decoders(registry=undefined) {
+    if(registry === undefined) {
+      return this.get('decoders');
+    } else {
+      return this.set('decoders', registry);
+    }
+  }
+
+  /**
+   * Add a response decoder for this context and every context derived from it, leaving other contexts' decoders as they are.
+   *
+   * @param  {string} name - The decoder's name.
+   * @param  {object|function} spec - <pre>{formats, contentTypes, decode}</pre>, or just the decode function.  See DecoderRegistry.
+   */
+  decoder(name, spec) {
+    return this.set('decoders', (this.get('decoders') || defaultDecoders).copy().register(name, spec));
+  }
+
+  /**
+   * Get or set the OfflineQueue that robustCall persists deferred requests to.
+   */
+  offline(queue=undefined) {
+    if(queue === undefined) {
+      return this.get('offlineQueue');
+    } else {
+      return this.set('offlineQueue', queue);
+    }
+  }
+
   query(querySet=null) {
     if(querySet === null) {
       return this.get('querySet');
@@ -392,32 +650,342 @@ export class Sondra extends DefaultContext {
     }
   }
 
-  call(transientContext={}) {
-    const { url, headers, requestMethod, mode, compress, additionalRequestOptions, body, querySet } = this.merge(transientContext).toObject();
+  /**
+   * This context as a JSON-compatible object, to persist or to post to a web worker.  Runtime fields
+   * (transport, caches, middleware and the like, see <pre>runtimeFields</pre>) are left out.
+   *
+   * @param  {object} options - <pre>{auth, authHeaders}</pre>.  auth is 'include' (the default), 'redact'
+   *                            to replace the values of auth headers with REDACTED, or 'exclude' to leave
+   *                            them out.  authHeaders names the auth headers, matched without regard to case.
+   * @return {object} - An object for <pre>Sondra.restore</pre>.
+   *
+   * @example
+   * localStorage.setItem('screen', JSON.stringify(tickets.serialize({auth: 'redact'})));
+   * const restored = Sondra.restore(localStorage.getItem('screen'), session);  // auth comes from session
+   */
+  serialize({auth = 'include', authHeaders = DEFAULT_AUTH_HEADERS} = {}) {
+    if(!_.contains(['include', 'redact', 'exclude'], auth)) {
+      throw new Error(`auth must be 'include', 'redact' or 'exclude', not ${auth}`);
+    }
+    const isAuth = (name) => _.contains(_.map(authHeaders, (h) => h.toLowerCase()), name.toLowerCase());
+    const data = _.omit(_.reduce(runtimePaths, (ctx, path) => ctx.setIn(path, null), this).toJS(), runtimeFields.concat(['querySet']));
+    if(auth !== 'include') {
+      data.headers = _.reduce(data.headers, (headers, value, name) => {
+        if(!isAuth(name)) {
+          headers[name] = value;
+        } else if(auth === 'redact') {
+          headers[name] = REDACTED;
+        }
+        return headers;
+      }, {});
+    }
+    return _.assign(data, {querySet: this.get('querySet').toJSON()});
+  }
+
+  /**
+   * The inverse of <pre>serialize</pre>.
+   *
+   * @param  {object|string} json - A serialized context, or the JSON of one.
+   * @param  {Sondra} live - Optional. A context to take the runtime fields from.  Redacted auth headers
+   *                         take their values from it too, and are dropped if it has none.
+   * @return {Sondra} - The context.
+   */
+  static restore(json, live = null) {
+    const obj = _.isString(json) ? JSON.parse(json) : json;
+    const defaults = new Sondra();
+    const data = _.reduce(_.omit(obj, runtimeFields.concat(['querySet'])), (ctx, value, field) => (
+      ctx.has(field) ? ctx.set(field, reviveLike(defaults.get(field), value)) : ctx), defaults);
+    const headers = data.get('headers').filter((value, name) => value !== REDACTED || (live && live.hasIn(['headers', name])))
+      .map((value, name) => (value === REDACTED ? live.getIn(['headers', name]) : value));
+    const restored = data.set('headers', headers).set('querySet', new QuerySet(obj.querySet || {}));
+    if(!live) {
+      return restored;
+    }
+    const withFields = _.reduce(runtimeFields, (ctx, field) => ctx.set(field, live.get(field)), restored);
+    return _.reduce(runtimePaths, (ctx, path) => ctx.setIn(path, live.getIn(path)), withFields);
+  }
+
+  /**
+   * The context for a URL, the inverse of <pre>calculateUrl</pre> and <pre>_prepareRequest</pre>.  The path
+   * after the base path names the app, collection and document, and a <pre>.method</pre> suffix on its last
+   * segment the method.  <pre>;name=value</pre> parameters become the context's params.  In the query
+   * string, QuerySet parameters (flt, agg, geo, keys, index, start, end and limit) become the querySet and
+   * anything else the body.  Path segments are percent-decoded, so a URL copied from a browser gives the
+   * same context as the one it was made from.  A document key containing a dot is read as a key and a method.
+   *
+   * @param  {string} url - The URL.
+   * @param  {object} options - <pre>{basePath}</pre>, a list of path segments.  Defaults to ['api'].
+   * @return {Sondra} - A context with the default runtime fields.
+   *
+   * @example
+   * Sondra.fromUrl('https://www.365pronto.com:443/api/core/tickets/t1.close;format=json').call({body: {reason: 'done'}});
+   */
+  static fromUrl(url, {basePath = DefaultBasePath} = {}) {
+    const match = /^(https?):\/\/([^/:;?#]+)(?::(\d+))?([^;?#]*)(?:;([^?#]*))?(?:\?([^#]*))?(?:#.*)?$/.exec(url);
+    if(!match) {
+      throw new Error(`Not a Sondra URL: ${url}`);
+    }
+    const [, protocol, host, port = (protocol === 'https' ? '443' : '80'), path, params, search] = match;
+    const base = List(basePath).toArray();
+    const rawSegments = _.compact(path.split('/'));
+    const last = rawSegments.length - 1;
+    let method = null;
+    if(last >= 0 && rawSegments[last].lastIndexOf('.') > 0) {
+      method = decodeURIComponent(rawSegments[last].slice(rawSegments[last].lastIndexOf('.') + 1));
+      rawSegments[last] = rawSegments[last].slice(0, rawSegments[last].lastIndexOf('.'));
+    }
+    const segments = _.map(rawSegments, decodeURIComponent);
+    if(!_.isEqual(segments.slice(0, base.length), base)) {
+      throw new Error(`${url} is not under the base path /${base.join('/')}`);
+    } else if(segments.length > base.length + 3) {
+      throw new Error(`${url} has more path segments than an app, collection and document`);
+    }
+    const [app, collection, document] = segments.slice(base.length);
+
+    let context = new Sondra().suite(protocol, host, port, List(base));
+    context = app ? context.app(app) : context;
+    context = collection ? context.collection(collection) : context;
+    context = document ? context.document(document) : context;
+    context = method ? context.method(method) : context;
+    if(params !== undefined) {
+      const pairs = _.map(params.match(ESCAPED_PARAM) || [], (pair) => {
+        const [k, v = ''] = pair.split(/=(.*)/);
+        return [_.unescape(k), _.unescape(v)];
+      });
+      context = context.set('params', OrderedMap(pairs)).calculateUrl();
+    }
+
+    const query = {};
+    const body = [];
+    const decode = (text) => decodeURIComponent(text.replace(/\+/g, ' '));
+    _.forEach(_.compact((search || '').split('&')), (pair) => {
+      const [k, v = ''] = _.map(pair.split(/=(.*)/), decode);
+      if(_.contains(['flt', 'agg', 'geo', 'keys'], k)) {
+        query[k] = JSON.parse(v);
+      } else if(_.contains(['start', 'end', 'limit'], k) && /^-?\d+$/.test(v)) {
+        query[k] = parseInt(v, 10);
+      } else if(_.contains(['index', 'start', 'end', 'limit'], k)) {
+        query[k] = v;
+      } else {
+        body.push([k, v]);
+      }
+    });
+    return context.set('querySet', new QuerySet(query)).set('body', OrderedMap(body));
+  }
 
-    let requestHeaders = new Headers();
-    _.forEach(headers, (value, name) => { requestHeaders.append(name, value); });
+  /**
+   * The URL and fetch options for a request in this context.  GET requests carry the body and query
+   * in the query string; other requests carry them as a JSON body.
+   *
+   * @return {object} - <pre>{url, options}</pre>
+   */
+  _prepareRequest() {
+    const { url, headers, requestMethod, mode, compress, additionalRequestOptions, body, querySet } = this.toObject();
+    const queryBody = _.extend({}, (body || Map()).toJS(), querySet.value());
 
-    let requestUrl = url;
-    let requestOptions;
     if(requestMethod !== 'GET') {
-      const queryBody = _.extend({}, body.toJS(), querySet.value());
       const requestBody = _.size(queryBody) === 0 ? null : JSON.stringify(queryBody);
-      requestOptions = additionalRequestOptions.merge({ method: requestMethod, body: requestBody, mode, compress, headers }).toJS();
+      return {url, options: additionalRequestOptions.merge({ method: requestMethod, body: requestBody, mode, compress, headers }).toJS()};
     } else {
-      const queryBody = _.extend({}, body.toJS(), querySet.value(false));
       const requestBody = _.reduce(queryBody, (a, v, k) => { a.append(k, v); return a; }, new URLSearchParams());
-      requestUrl = requestUrl + "?" + requestBody.toString();  // not all browsers support adding URLSearchParams as the body of a GET request.
-      requestOptions = additionalRequestOptions.merge({ method: requestMethod, mode, compress, headers }).toJS();
+      return {
+        url: url + "?" + requestBody.toString(),  // not all browsers support adding URLSearchParams as the body of a GET request.
+        options: additionalRequestOptions.merge({ method: requestMethod, mode, compress, headers }).toJS()
+      };
     }
+  }
 
-    return fetch(requestUrl, requestOptions).then((rsp) => {
-      if(rsp.ok) {
-        return rsp.json();
-      } else {
-        return rsp.json().then((err) => Promise.reject([rsp.status, err]));
+  /**
+   * Send a prepared request through the context's middleware and then to the server.
+   *
+   * @param  {object} request - <pre>{url, options}</pre>, as returned by _prepareRequest.
+   * @param  {CancelToken} token - Optional. Aborts the request.
+   * @return {Promise} - Resolves to the response.
+   */
+  _send(request, token=null) {
+    if(token && token.aborted) {
+      return Promise.reject(new CancelledError(request.url, token.reason));
+    }
+    const transport = this.get('transport') || defaultTransport();
+    const sent = runMiddleware(this.get('middleware'), _.assign({context: this}, request), ({url, options}) => cancellableFetch(url, options, token, transport));
+    return raceCancellation(sent, token, request.url);
+  }
+
+  /**
+   * Add a middleware to the request pipeline of this context and every context derived from it.  See middleware.js.
+   *
+   * @param  {function(object, function)} middleware - A function <pre>(request, next)</pre> returning a promise of a response.
+   */
+  use(middleware) {
+    return this.update('middleware', (m) => m.push(middleware));
+  }
+
+  call(transientContext={}) {
+    const context = this.merge(transientContext);
+    const { requestMethod, validation, cache, store, optimistic, signal, timeout, inFlight, coalesce } = context.toObject();
+    const request = context._prepareRequest();
+    const token = cancellationFor(signal, timeout);
+    const { url: requestUrl, options: requestOptions } = request;
+    const details = {url: requestUrl, method: requestMethod};
+
+    const useCache = cache && requestMethod === 'GET';
+    const cached = useCache ? cache.lookup(requestUrl) : null;
+    if(cached && cache.isFresh(cached)) {
+      return Promise.resolve(cached.data);
+    } else if(cached && cached.etag) {
+      requestOptions.headers['If-None-Match'] = cached.etag;
+    }
+
+    // a write may have changed the document whether or not it succeeded, so invalidate either way.
+    const invalidate = () => {
+      if(cache) {
+        cache.invalidateWrite(context);
+      }
+    };
+
+    // keep the document store up to date with whatever the server answers. See store.js.
+    const pending = store && optimistic ? store.applyOptimistic(context) : null;
+    const ingest = (data) => {
+      if(store) {
+        store.settle(pending).ingest(context, data);
+      }
+      return data;
+    };
+
+    const fetchData = (sendToken) => context._send(request, sendToken).then((rsp) => {
+      invalidate();
+      return Promise.try(() => {
+        if(cached && rsp.status === 304) {
+          return ingest(cache.revalidated(requestUrl, cached));
+        } else if(rsp.ok) {
+          return decodeResponse(rsp, context).then((data) => ingest(useCache ? cache.store(requestUrl, data, rsp.headers && rsp.headers.get('ETag')) : data));
+        } else {
+          return rsp.json().catch(() => null).then((payload) => Promise.reject(errorForStatus(rsp.status, _.assign({payload}, details))));
+        }
+      }).catch((err) => Promise.reject(asSondraError(err, _.assign({status: rsp.status}, details))));
+    }, (err) => {
+      invalidate();
+      return Promise.reject(err);
+    }).catch((err) => Promise.reject(asSondraError(err, details)));
+
+    // identical GETs already in flight share one request. See coalesce.js.
+    const send = () => (inFlight && coalesce && requestMethod === 'GET' ?
+      inFlight.join(inFlight.key(request, context), fetchData, token, requestUrl) :
+      fetchData(token));
+
+    const sent = validation ? raceCancellation(validateRequest(context), token, request.url).then(send) : send();
+    const result = pending === null ? sent : sent.catch((err) => {
+      store.rollback(pending, err);
+      return Promise.reject(err);
+    });
+    return token ? result.finally(() => token.dispose()) : result;
+  }
+
+  /**
+   * Turn the response cache for GET calls on or off for this context and every context derived from it.  See cache.js.
+   *
+   * @param  {object|ResponseCache|boolean} options - <pre>{maxEntries, ttl}</pre> for a new cache, an existing cache to share, or false to turn caching off.
+   */
+  caching(options={}) {
+    if(options === false) {
+      return this.set('cache', null);
+    } else {
+      return this.set('cache', options instanceof ResponseCache ? options : new ResponseCache(options));
+    }
+  }
+
+  /**
+   * Turn the normalized document store on or off for this context and every context derived from it.  See store.js.
+   *
+   * @param  {DocumentStore|boolean} store - An existing store to share, true for a new store, or false to turn the store off.
+   */
+  storing(store=true) {
+    if(store === false) {
+      return this.set('store', null);
+    } else {
+      return this.set('store', store instanceof DocumentStore ? store : new DocumentStore());
+    }
+  }
+
+  /**
+   * Turn optimistic writes on or off for this context and every context derived from it.  Writes to
+   * documents change the document store at once and are rolled back if the server rejects them.
+   * Turns the document store on if it is not already.  See store.js.
+   */
+  optimistic(enabled=true) {
+    return (enabled && !this.get('store') ? this.storing() : this).set('optimistic', enabled);
+  }
+
+  /**
+   * Drop every cached response for this context's resource and the resources below it.
+   */
+  invalidate() {
+    const cache = this.get('cache');
+    if(cache) {
+      cache.invalidate(this.get('url'));
+    }
+    return this;
+  }
+
+  /**
+   * Subscribe to the changefeed of the current collection or document over a websocket.
+   *
+   * The subscription sends the same headers as an HTTP call would, and reconnects with exponential
+   * backoff (see the <pre>changefeed</pre> map on the context), resuming from the last change it saw.
+   *
+   * @param  {QuerySet} querySet - Optional. Only report changes to documents matching this query. Defaults to the context's query.
+   * @param  {object} handlers - Callbacks for insert, update, delete, change, open, close and error events. See Subscription.
+   * @return {Subscription} - Call <pre>.close()</pre> on this to unsubscribe.
+   *
+   * @example
+   * tickets.subscribe(new QuerySet().eq('status', 'open'), {insert: ({newValue}) => { ... }});
+   * tickets.document(ticketId).subscribe({update: ({oldValue, newValue}) => { ... }});
+   */
+  subscribe(querySet = null, handlers = {}) {
+    if(querySet !== null && !(querySet instanceof QuerySet)) {
+      return this.subscribe(null, querySet);
+    }
+
+    const { url, headers, changefeed, store, collection } = this.toObject();
+    const message = {type: 'subscribe', headers: headers.toJS(), query: (querySet || this.get('querySet')).value()};
+    const storing = store && collection ? _.assign({}, handlers, {change: (event) => {
+      store.applyChange(this, event);
+      if(_.isFunction(handlers.change)) {
+        handlers.change(event);
       }
-    }).catch((err) => Promise.reject([0, err]));
+    }}) : handlers;
+    return new Subscription(socketUrl(url), message, storing, changefeed.toJS());
+  }
+
+  /**
+   * Iterate over every document matching a query, fetching a page at a time.
+   *
+   * @param  {QuerySet} querySet - Optional. The query to page through. Defaults to the context's query.
+   * @param  {object} options - <pre>{pageSize, cursor, robust, transientContext}</pre>. See pagination.js.
+   * @return {DocumentIterator} - An async iterator of documents.
+   */
+  iterate(querySet = null, options = {}) {
+    return new DocumentIterator(this, querySet || this.get('querySet'), options);
+  }
+
+  /**
+   * Read the documents matching a query as the response arrives, rather than all at once.
+   *
+   * @param  {QuerySet} querySet - Optional. The query. Defaults to the context's query.
+   * @param  {object} options - <pre>{format, onProgress, signal, timeout, transientContext}</pre>. See stream.js.
+   * @return {DocumentStream} - An async iterator of documents.
+   */
+  stream(querySet = null, options = {}) {
+    return new DocumentStream(this, querySet || this.get('querySet'), options);
+  }
+
+  /**
+   * Like <pre>iterate</pre>, but each value is a whole page of documents.
+   *
+   * @return {PageIterator} - An async iterator of lists of documents.
+   */
+  pages(querySet = null, options = {}) {
+    return new PageIterator(this, querySet || this.get('querySet'), options);
   }
 
   callWith(body = null) {
@@ -448,8 +1016,66 @@ export class Sondra extends DefaultContext {
     return this.document(key).call({requestMethod: "POST", body: doc});
   }
 
+  /**
+   * Create many documents in this collection.  See bulk.js.
+   *
+   * @param  {Array} docs - The documents.  Each is created under the value of its primary key field.
+   * @param  {object} options - Optional. <pre>{concurrency, endpoint, primaryKey}</pre>
+   * @return {Promise} - Resolves to <pre>{results, succeeded, failed}</pre>.
+   */
+  bulkCreate(docs, options={}) {
+    const primaryKey = options.primaryKey || this.getIn(['bulk', 'primaryKey']);
+    const items = _.map(docs, (doc) => ({key: doc[primaryKey], value: doc}));
+    return bulkWrite(this, 'POST', items, ({key, value}) => this.createDocument(key, value), withPrimaryKeys, options);
+  }
+
+  /**
+   * Patch many documents in this collection.
+   *
+   * @param  {object|Array} patches - <pre>{key: values}</pre>, or a list of <pre>[key, values]</pre> pairs.
+   */
+  bulkPatch(patches, options={}) {
+    return bulkWrite(this, 'PATCH', keyedItems(patches), ({key, value}) => this.patchDocument(key, value), withPrimaryKeys, options);
+  }
+
+  /**
+   * Replace many documents in this collection.
+   *
+   * @param  {object|Array} replacements - <pre>{key: document}</pre>, or a list of <pre>[key, document]</pre> pairs.
+   */
+  bulkReplace(replacements, options={}) {
+    return bulkWrite(this, 'PUT', keyedItems(replacements), ({key, value}) => this.replaceDocument(key, value), withPrimaryKeys, options);
+  }
+
+  /**
+   * Delete many documents from this collection.
+   *
+   * @param  {Array} keys - The primary keys of the documents.
+   */
+  bulkDelete(keys, options={}) {
+    const items = _.map(keys, (key) => ({key}));
+    return bulkWrite(this, 'DELETE', items, ({key}) => this.deleteDocument(key), (is) => ({keys: _.pluck(is, 'key')}), options);
+  }
+
   fetchSchema(schemaOptions={}) {
-    return this.set('params', _.assign({}, schemaOptions, {format: 'schema'})).calculateUrl().call();
+    return this.set('params', this.get('params').merge(schemaOptions).set('format', 'schema')).calculateUrl().call();
+  }
+
+  /**
+   * Fetch the schemas of the suite, every app and every collection and describe them in the <pre>api</pre>
+   * field of the context.  Contexts derived from the result check app, collection and method names
+   * against the server's schema and throw on a name that does not exist.
+   *
+   * @return {Promise} - Resolves to this context with <pre>api</pre> populated.
+   *
+   * @example
+   * suite.discover().then((pronto) => {
+   *   pronto.get('api').apps;  // ['auth', 'core']
+   *   return pronto.get('api').core.tickets.methods.assign({ticket: 't1', user: 'jefferson'});
+   * });
+   */
+  discover() {
+    return discover(this);
   }
 
   /**
@@ -460,71 +1086,145 @@ export class Sondra extends DefaultContext {
    * @param  {function(string, string, object)} temporaryErrorCallback - Optional. A function to call when the call fails temporarily.  By default it simply logs to the console.
    * @param  {string} [actionOnFail='defer'] - 'defer', 'fail', 'ignore' How to handle the request if it fails.  Requests that fail due to a network error will defer if requested.
    *
+   * If the context has an OfflineQueue (see <pre>.offline(queue)</pre>), deferred requests are persisted to it so that they survive a reload.
+   *
+   * A <pre>signal</pre> or <pre>timeout</pre> in the context stops the whole call, retries included, rejecting with a CancelledError. See cancellation.js.
+   *
+   * Retries back off exponentially with jitter, and responses with a retryable status such as 503 or 429 are retried too, honouring Retry-After.
+   * A response whose Retry-After is longer than the policy's maxDelay rejects instead of retrying early.
+   * Each retry spends from the suite's retry budget.  The policy is set in the context's <pre>robust</pre> map; see retry.js.
+   *
    * @example
    * // Send a bit of data and get a response
    * this.robustCall()
    *   .then(({deferredRequestId, data}) => { ... do something with the data ... })  // this could take awhile, but the program should continue;
-   *   .catch(({deferredRequestId, url, status, error}))  // this could also take awhile, but the program should continue.
+   *   .catch((err) => { ... err.deferredRequestId, err.status, err.payload ... })  // this could also take awhile, but the program should continue.
    *
    * @returns {Promise} - A promise that is either a deferred action or a response.  Resolved promises receive an object <pre>{deferredRequestId, data}</pre>. Rejected promises receive
+   *                      a SondraError (see errors.js) carrying the deferredRequestId and the number of retries made.
    */
-  robustCall(transientContext={}, temporaryErrorCallback = _logTemporaryError, actionOnFail = "defer", _n=0, _rqid=null) {
-    const { url, headers, requestMethod, mode, compress, additionalRequestOptions, body, robust } = this.merge(transientContext).toObject();
+  robustCall(transientContext={}, temporaryErrorCallback = _logTemporaryError, actionOnFail = "defer", _n=0, _rqid=null, _attempt=0) {
+    const context = this.merge(transientContext);
+    const { url, robust, offlineQueue, signal, timeout, requestMethod, validation, cache, store, optimistic } = context.toObject();
+
+    // A request is validated once, before anything is applied or sent. Retries and replays send the same body. See validation.js.
+    if(validation && _rqid === null) {
+      return validateRequest(context).then(() => this.robustCall(_.assign({}, transientContext, {validation: null}), temporaryErrorCallback, actionOnFail, _n, _rqid, _attempt));
+    }
 
-    // construct the request headers and body
-    let requestHeaders = new Headers();
-    _.forEach(headers, (value, name) => { requestHeaders.append(name, value); });
+    const request = context._prepareRequest();
 
     const deferredRequestId = _rqid || nextDeferredRequestId++;
+    const details = {url: request.url, method: requestMethod, retries: _attempt, deferredRequestId};
 
-    let requestUrl = url;
-    let requestOptions;
-    if(requestMethod !== 'GET') {
-      const requestBody = _.size(body) === 0 ? null : JSON.stringify(body);
-      requestOptions = additionalRequestOptions.merge({ method: requestMethod, body: requestBody, mode, compress, headers }).toJS();
-    } else {
-      const requestBody = _.reduce((body || Map()).toJS(), (a, v, k) => { a.append(k, v); return a; }, new URLSearchParams());
-      requestUrl = requestUrl + "?" + requestBody.toString();  // not all browsers support adding URLSearchParams as the body of a GET request.
-      requestOptions = additionalRequestOptions.merge({ method: requestMethod, mode, compress, headers }).toJS();
+    // An optimistic write is applied once and stays pending across retries. See store.js.
+    if(store && optimistic && _rqid === null) {
+      store.applyOptimistic(context, deferredRequestId);
+    }
+    const ingest = (data) => {
+      if(store) {
+        store.settle(deferredRequestId).ingest(context, data);
+      }
+      return data;
+    };
+
+    if(offlineQueue && offlineQueue.isCancelled(deferredRequestId)) {
+      return Promise.reject(new CancelledError(request.url, 'dequeued', details));
     }
 
+    // The timeout covers every attempt, so retries follow this token rather than starting a new timer.
+    const token = cancellationFor(signal, timeout);
+    const retryContext = token ? _.assign({}, transientContext, {signal: token, timeout: null}) : transientContext;
+
+    // Retrying a failed request spends from the suite's budget. Waiting for the network does not.
+    const budget = robust.get('retryBudget');
+    const withdraw = () => !budget || budget.withdraw();
+
+    // Persist the request if there is an offline queue, then try again after backing off.
+    const retry = (error, nextAction, n, delay = retryDelay(robust, _attempt)) => Promise.resolve(offlineQueue && offlineQueue.enqueue(deferredRequestId, context))
+      .then(() => temporaryErrorCallback(deferredRequestId, url, error))
+      .then(() => cancellableDelay(delay, token, url))
+      .then(() => this.robustCall(retryContext, temporaryErrorCallback, nextAction, n, deferredRequestId, _attempt + 1));
+
+    // Cancelled requests stop retrying, but stay in the offline queue if they were persisted.
+    // An error already annotated by a later attempt keeps that attempt's retry count.
+    const cancelled = (error, reject) => {
+      if(offlineQueue) {
+        offlineQueue.release(deferredRequestId);
+      }
+      if(error.deferredRequestId === null) {
+        _.assign(error, {method: requestMethod, retries: _attempt, deferredRequestId});
+      }
+      return reject(error);
+    };
+    const retryFailed = (error, reject) => (error instanceof CancelledError ? cancelled(error, reject) : reject(error));
+
+    // The server has answered, so the request no longer needs to be persisted.
+    const settle = (fn, value) => Promise.resolve(offlineQueue && offlineQueue.remove(deferredRequestId)).then(() => fn(value));
+
     // Check to make sure that we have network (when possible) and that the server responds to a ping call.
     const p = new Promise((resolve, reject) => {
 
-      // catch and then are backwards here because we want to catch the network error, but not any failures that happen in the .then() clause
-      return this._isOnline().catch((error) => { // The network or server was not online.  We delay, but we do not increase the counter.
-        const refetchDelay = this.getIn(['robust', 'refetchDelay']);
-        return Promise.delay(refetchDelay, temporaryErrorCallback(deferredRequestId, url, error)).then(() =>
-          this.robustCall(transientContext, temporaryErrorCallback, actionOnFail, _n, deferredRequestId));
-      }).then(() => { // I f we have connectivity, make the fetch
-        return fetch(url, requestOptions).then((rsp) => {
-          if(rsp.ok) { // the request succeeded
-            return rsp.json().then((data) => resolve({deferredRequestId, data}));
-          } else { // an application error occurred. This is not due to network failure and will reject immediately.
-            const status = rsp.status;
-            return rsp.json().then((data) => reject({deferredRequestId, url, status, error:data}));
+      this._isOnline(token).then(() => { // If we have connectivity, make the fetch
+        // a write may have changed the document whether or not it succeeded, so invalidate either way.
+        const sent = context._send(request, token).finally(() => cache && cache.invalidateWrite(context));
+        return sent.then((rsp) => {
+          if(rsp.ok) { // the request succeeded. A failure to handle the response is not retried: the server has acted on it.
+            return decodeResponse(rsp, context).then((data) => settle(resolve, {deferredRequestId, data: ingest(data)}))
+              .catch((err) => settle(reject, _.assign(asSondraError(err, _.assign({status: rsp.status}, details)), {retries: _attempt, deferredRequestId})));
           }
-        }).catch((error) => {
-          const status = error.status || 0;
-          if(status > 0) { // Then this is not due to a network failure. It will reject immediately.  This should catch 500s, 400s.
-            return Promise.reject({deferredRequestId, url, status:error.status, error});
-          } else switch(actionOnFail) { // a network error occurred. these will be retried if the actionOnFail was "defer" and we haven't yet tried the max number of times.
+          const status = rsp.status;
+          const failure = rsp.json().catch(() => null).then((payload) => errorForStatus(status, _.assign({payload}, details)));
+          // a server that asks us to wait longer than maxDelay is not retried early; the delay is null then.
+          const delay = retryDelay(robust, _attempt, rsp.headers ? rsp.headers.get('Retry-After') : null);
+          if(actionOnFail === 'defer' && isRetryableStatus(robust, status) && _n < robust.get('maxTries') && delay !== null && withdraw()) {
+            // the server is busy or briefly unavailable. Back off and try again, waiting at least as long as it asked.
+            return failure.then((error) => retry(error, 'defer', _n+1, delay)).then(resolve, (err) => retryFailed(err, reject));
+          } else { // an application error occurred, or the server asked for a longer wait than we retry after. This rejects immediately.
+            return failure.then((error) => settle(reject, error));
+          }
+        }).catch((err) => {
+          const error = _.assign(asSondraError(err, details), {retries: _attempt, deferredRequestId});
+          if(error instanceof CancelledError) {
+            return cancelled(error, reject);
+          } else if(!(error instanceof NetworkError)) { // Then this is not due to a network failure. It will reject immediately.  This should catch 500s, 400s and failures in the client.
+            return settle(reject, error);
+          } else switch(actionOnFail === 'defer' && !withdraw() ? 'fail' : actionOnFail) { // a network error occurred. these will be retried if the actionOnFail was "defer", we haven't yet tried the max number of times, and the retry budget allows.
             case 'defer': // delay the call for a few seconds and try again.
-              const { maxTries, refetchDelay } = robust.toJS();
-              return Promise.delay(refetchDelay, temporaryErrorCallback(deferredRequestId, url, error)).then(() =>
-                this.robustCall(transientContext, temporaryErrorCallback, _n < maxTries ? "defer" : "fail", _n+1));
-            case 'fail': // reject the call entirely.
-              return reject({deferredRequestId, url, status, error});
-            case 'ignore': // ignore a failure (unusual).
+              return retry(error, _n+1 < robust.get('maxTries') ? "defer" : "fail", _n+1).then(resolve, (err) => retryFailed(err, reject));
+            case 'fail': // reject the call entirely. A persisted request stays in the offline queue for replay.
+              if(offlineQueue) {
+                offlineQueue.release(deferredRequestId);
+              }
+              return reject(error);
+            case 'ignore': // ignore a failure (unusual). An optimistic write is rolled back unless the offline queue will replay it.
+              if(offlineQueue) {
+                offlineQueue.release(deferredRequestId);
+              } else if(store) {
+                store.rollback(deferredRequestId, error);
+              }
               return resolve(null);
             default:
-              throw new Error("Action on fail must be 'defer', 'ignore', or 'fail'");
+              return reject(new Error("Action on fail must be 'defer', 'ignore', or 'fail'"));
           }
         });
+      }, (error) => { // The network or server was not online.  We delay, but we do not increase the counter.
+        if(error instanceof CancelledError) {
+          return cancelled(error, reject);
+        }
+        return retry(error, actionOnFail, _n).then(resolve, (err) => retryFailed(err, reject));
       });
 
     });
 
-    return p;
+    // Roll back a pending write unless it is kept in the offline queue to be replayed.
+    const rollback = (error) => {
+      if(store && (!offlineQueue || !(error instanceof NetworkError || error instanceof CancelledError) || error.reason === 'dequeued')) {
+        store.rollback(deferredRequestId, error);
+      }
+      return Promise.reject(error);
+    };
+    const result = store ? p.catch(rollback) : p;
+    return token ? result.finally(() => token.dispose()) : result;
   }
 }
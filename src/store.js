@@ -0,0 +1,414 @@
+/**
+ * A normalized store of documents, shared by every screen that shows them.
+ *
+ * Turn it on for a context and everything derived from it with <pre>.storing()</pre>.  From then on
+ * the store keeps one copy of each document, keyed by suite, app, collection and primary key, and
+ * keeps it up to date from every response the context gets:
+ *
+ * * fetching a document or listing a collection stores the documents returned;
+ * * createDocument, replaceDocument and patchDocument store the document the server answers with
+ *   (or, if the server does not answer with the document, apply the write to the stored copy);
+ * * deleteDocument, and deleting through bulkDelete, removes it;
+ * * changefeed subscriptions opened with <pre>subscribe()</pre> apply every change they receive.
+ *
+ * The primary key is the field named by the context's <pre>bulk.primaryKey</pre> ('id' by default).
+ * Responses to method calls, to aggregating queries (count, pluck and so on), and in formats other
+ * than JSON are not documents and are not stored.
+ *
+ * Documents are held as Immutable Maps, so a document that has not changed keeps its identity and
+ * UI frameworks can re-render only on change.  <pre>watch()</pre> follows one document and
+ * <pre>watchQuery()</pre> the result of a QuerySet evaluated against the stored documents of a
+ * collection (see evaluate.js).  Both call their listener only when the value changes.
+ *
+ * In optimistic mode, turned on with <pre>.optimistic()</pre>, createDocument, replaceDocument,
+ * patchDocument and deleteDocument (and any other write to a document through call() or robustCall())
+ * change the stored document at once, before the request is sent.  The write stays pending until the
+ * server answers: the server's answer then replaces the optimistic value, or, if the server rejects
+ * the write, the document is rolled back and the store's rollback listeners are told.  Writes that
+ * robustCall defers stay pending while it retries.  A write that fails for want of a network but is
+ * kept in an offline queue for replay stays pending too, and is settled or rolled back when it is
+ * replayed in the same session.  Responses and changes that arrive for a document while a write to it
+ * is pending become the value it rolls back to, with the pending writes applied on top.
+ *
+ * @example
+ * const tickets = suite.storing().app('core').collection('tickets');
+ * const store = tickets.get('store');
+ * const watcher = store.watch(tickets, ticketId, (ticket) => render(ticket));
+ * tickets.fetchDocument(ticketId);                 // renders the ticket
+ * tickets.patchDocument(ticketId, {status: 'closed'});  // renders it again
+ * watcher.close();
+ */
+import Immutable, { Map, OrderedMap } from 'immutable';
+import _ from 'lodash';
+
+const suiteUrl = (context) => {
+  const { protocol, host, port, basePath } = context.toObject();
+  return `${protocol}://${host}:${port}/${basePath.join('/')}`;
+};
+
+/**
+ * Where a collection's documents are kept: <pre>[suite URL, app, collection]</pre>.
+ *
+ * @param {Sondra} context - A context for the collection, or for a document or method within it.
+ */
+export function collectionPath(context) {
+  const { app, collection } = context.toObject();
+  if(!app || !collection) {
+    throw new Error('Documents are stored by collection; the context has no collection');
+  }
+  return [suiteUrl(context), app, collection];
+}
+
+const primaryKeyOf = (context) => context.getIn(['bulk', 'primaryKey']);
+
+const isDocument = (data) => _.isPlainObject(data) && !_.has(data, 'error');
+
+const setDocument = (docs, key, value) => {
+  if(value === undefined) {
+    return docs.delete(key);
+  }
+  return Immutable.is(docs.get(key), value) ? docs : docs.set(key, value);
+};
+
+// The value a document has after a pending write, given its value before.
+const applyWrite = (doc, {requestMethod, body, key, primaryKey}) => {
+  switch(requestMethod) {
+    case 'DELETE':
+      return undefined;
+    case 'PATCH':
+      return doc && doc.mergeDeep(Immutable.fromJS(body));
+    default:
+      return Immutable.fromJS(_.assign({[primaryKey]: key}, body));
+  }
+};
+
+let nextWriteId = 1;
+
+/**
+ * A watch on the store.  Created by <pre>DocumentStore.watch</pre> and <pre>watchQuery</pre>.
+ *
+ * <pre>value</pre> is always the current value; the listener is called with the new and the previous
+ * value whenever it changes.
+ */
+export class StoreWatcher {
+  constructor(store, path, evaluate, listener) {
+    this.store = store;
+    this.path = path;
+    this.evaluate = evaluate;
+    this.listener = listener || _.noop;
+    this.value = evaluate();
+  }
+
+  _refresh() {
+    const value = this.evaluate();
+    if(!Immutable.is(value, this.value)) {
+      const previous = this.value;
+      this.value = value;
+      this.listener(value, previous);
+    }
+  }
+
+  /**
+   * Stop watching.
+   */
+  close() {
+    this.store.watchers = _.without(this.store.watchers, this);
+  }
+}
+
+/**
+ * The documents of any number of collections, as Immutable Maps.
+ */
+export class DocumentStore {
+  constructor() {
+    this.entities = Map();
+    this.watchers = [];
+    this.pending = [];
+    this.rollbackListeners = [];
+  }
+
+  /**
+   * A stored document.
+   *
+   * @param  {Sondra} collection - A context for the collection.
+   * @param  {any} key - The document's primary key.
+   * @return {Map} - The document, or undefined if it is not stored.
+   */
+  get(collection, key) {
+    return this.entities.getIn(collectionPath(collection).concat([String(key)]));
+  }
+
+  /**
+   * Every stored document of a collection, in the order they were first stored.
+   *
+   * @return {OrderedMap} - The documents by primary key.
+   */
+  documents(collection) {
+    return this.entities.getIn(collectionPath(collection), OrderedMap());
+  }
+
+  /**
+   * Store a document, replacing any stored copy.
+   *
+   * @param {Sondra} collection - A context for the collection.
+   * @param {object} doc - The document.  It must have a primary key.
+   */
+  put(collection, doc) {
+    if(!_.has(doc, primaryKeyOf(collection))) {
+      throw new Error(`Cannot store a document without its primary key, ${primaryKeyOf(collection)}`);
+    }
+    return this._change(collection, (docs) => this._put(docs, doc, primaryKeyOf(collection)));
+  }
+
+  /**
+   * Merge values into a stored document.  Does nothing if the document is not stored.
+   */
+  merge(collection, key, values) {
+    return this._change(collection, (docs) => (docs.has(String(key)) ? docs.mergeDeepIn([String(key)], Immutable.fromJS(values)) : docs));
+  }
+
+  /**
+   * Remove a stored document.
+   */
+  remove(collection, key) {
+    return this._change(collection, (docs) => docs.delete(String(key)));
+  }
+
+  /**
+   * Remove every stored document, or every document of one collection.
+   *
+   * @param {Sondra} collection - Optional. A context for the collection.
+   */
+  clear(collection = null) {
+    if(collection === null) {
+      this.entities = Map();
+      _.forEach(this.watchers, (watcher) => watcher._refresh());
+      return this;
+    }
+    return this._change(collection, () => OrderedMap());
+  }
+
+  /**
+   * Follow one document.
+   *
+   * @param  {Sondra} collection - A context for the collection.
+   * @param  {any} key - The document's primary key.
+   * @param  {function(Map, Map)} listener - Called with the document and its previous value whenever it changes.  The document is undefined once it is removed.
+   * @return {StoreWatcher} - Call <pre>.close()</pre> on this to stop watching.
+   */
+  watch(collection, key, listener) {
+    return this._watch(collection, () => this.get(collection, key), listener);
+  }
+
+  /**
+   * Follow the result of a query against the stored documents of a collection.
+   *
+   * @param  {Sondra} collection - A context for the collection.
+   * @param  {QuerySet} querySet - The query.  See QuerySet.evaluate.
+   * @param  {function(any, any)} listener - Called with the result, as Immutable, and its previous value whenever it changes.
+   * @return {StoreWatcher} - Call <pre>.close()</pre> on this to stop watching.
+   */
+  watchQuery(collection, querySet, listener) {
+    const primaryKey = primaryKeyOf(collection);
+    return this._watch(collection,
+      () => Immutable.fromJS(querySet.evaluate(this.documents(collection).toList(), {primaryKey})), listener);
+  }
+
+  /**
+   * Apply a write to a document before it is sent, and keep it pending until the server answers.
+   * Called by <pre>call()</pre> and <pre>robustCall()</pre> in optimistic mode.
+   *
+   * @param  {Sondra} context - The context of the write.  Contexts that are not for a document, are for a method, or are GETs are ignored.
+   * @param  {any} id - Optional. The id to track the write by, such as robustCall's deferredRequestId.
+   * @return {any} - The id of the pending write, or null if nothing was applied.
+   */
+  applyOptimistic(context, id = null) {
+    const { collection, document, method, requestMethod, body } = context.toObject();
+    if(!collection || document === null || method || requestMethod === 'GET') {
+      return null;
+    }
+
+    const write = {
+      id: id === null ? `optimistic-${nextWriteId++}` : id,
+      path: collectionPath(context),
+      key: String(document),
+      requestMethod,
+      body: body ? body.toJS() : {},
+      primaryKey: primaryKeyOf(context),
+      context
+    };
+    this._change(context, (docs) => {
+      write.previous = docs.get(write.key);
+      return setDocument(docs, write.key, applyWrite(write.previous, write));
+    });
+    this.pending = this.pending.concat([write]);
+    return write.id;
+  }
+
+  /**
+   * The server accepted a pending write.  Its answer is stored by ingest().
+   */
+  settle(id) {
+    this.pending = _.reject(this.pending, {id});
+    return this;
+  }
+
+  /**
+   * The server rejected a pending write: restore the document, re-apply any later writes to it that
+   * are still pending, and tell the rollback listeners.  Does nothing if the write is not pending.
+   *
+   * @param {any} id - The id of the pending write.
+   * @param {Error} error - Why the write failed.
+   */
+  rollback(id, error = null) {
+    const write = _.find(this.pending, {id});
+    if(!write) {
+      return this;
+    }
+    this.pending = _.without(this.pending, write);
+    this._change(write.context, (docs) => setDocument(docs, write.key, this._replay(write.path, write.key, write.previous)));
+
+    const event = {id, context: write.context, key: write.key, requestMethod: write.requestMethod, body: write.body, error,
+      restored: this.entities.getIn(write.path.concat([write.key]))};
+    _.forEach(this.rollbackListeners, (listener) => listener(event));
+    return this;
+  }
+
+  /**
+   * Listen for rolled back writes.
+   *
+   * @param  {function(object)} listener - Called with <pre>{id, context, key, requestMethod, body, error, restored}</pre>,
+   *                                       where restored is the document's value after the rollback.
+   * @return {object} - Call <pre>.close()</pre> on this to stop listening.
+   */
+  onRollback(listener) {
+    this.rollbackListeners = this.rollbackListeners.concat([listener]);
+    return {close: () => { this.rollbackListeners = _.without(this.rollbackListeners, listener); }};
+  }
+
+  /**
+   * Whether a document has writes waiting for the server.
+   */
+  isPending(collection, key) {
+    const path = collectionPath(collection);
+    return _.some(this.pending, (write) => write.key === String(key) && _.isEqual(write.path, path));
+  }
+
+  /**
+   * The writes waiting for the server, oldest first.
+   *
+   * @return {Array} - <pre>{id, key, requestMethod, body, context}</pre> for each write.
+   */
+  pendingWrites() {
+    return _.map(this.pending, (write) => _.pick(write, 'id', 'key', 'requestMethod', 'body', 'context'));
+  }
+
+  /**
+   * Store what a response says about the documents of the context's collection.  Called by
+   * <pre>call()</pre> for every successful response.
+   *
+   * @param {Sondra} context - The context the request was made in.
+   * @param {any} data - The response.
+   */
+  ingest(context, data) {
+    const { collection, document, method, requestMethod, body, querySet } = context.toObject();
+    if(!collection || method || context.getIn(['params', 'format']) !== 'json') {
+      return this;
+    }
+
+    const primaryKey = primaryKeyOf(context);
+    const requestBody = body ? body.toJS() : {};
+    const keyed = (doc, key) => (_.has(doc, primaryKey) ? doc : _.assign({}, doc, {[primaryKey]: key}));
+    const answered = (key) => isDocument(data) && (!_.has(data, primaryKey) || String(data[primaryKey]) === String(key));
+    const putAll = (docs, items) => _.reduce(items, (acc, item) => (
+      isDocument(item) && _.has(item, primaryKey) ? this._put(acc, item, primaryKey) : acc), docs);
+
+    return this._serverChange(context, (docs) => {
+      if(document !== null) {
+        switch(requestMethod) {
+          case 'DELETE':
+            return docs.delete(String(document));
+          case 'PATCH':
+            return answered(document) ? this._put(docs, keyed(data, document), primaryKey) :
+              (docs.has(String(document)) ? docs.mergeDeepIn([String(document)], Immutable.fromJS(requestBody)) : docs);
+          case 'GET':
+            return answered(document) ? this._put(docs, keyed(data, document), primaryKey) : docs;
+          default:
+            return this._put(docs, keyed(answered(document) ? data : requestBody, document), primaryKey);
+        }
+      } else if(requestMethod === 'GET') {
+        return querySet.q.has('agg') || !_.isArray(data) ? docs : putAll(docs, data);
+      } else if(requestMethod === 'DELETE' && _.isArray(requestBody.keys)) {
+        return _.reduce(requestBody.keys, (acc, key) => acc.delete(String(key)), docs);
+      } else if(_.isArray(requestBody.documents)) {
+        return _.isArray(data) ? putAll(docs, data) : docs;
+      }
+      return isDocument(data) && _.has(data, primaryKey) ? this._put(docs, data, primaryKey) : docs;
+    });
+  }
+
+  /**
+   * Apply a change from a changefeed of the context's collection.  See changefeed.js.
+   *
+   * @param {Sondra} context - The context that subscribed.
+   * @param {object} event - <pre>{type, oldValue, newValue}</pre>.
+   */
+  applyChange(context, {type, oldValue, newValue}) {
+    const primaryKey = primaryKeyOf(context);
+    return this._serverChange(context, (docs) => {
+      if(type === 'delete') {
+        return isDocument(oldValue) && _.has(oldValue, primaryKey) ? docs.delete(String(oldValue[primaryKey])) : docs;
+      }
+      return isDocument(newValue) && _.has(newValue, primaryKey) ? this._put(docs, newValue, primaryKey) : docs;
+    });
+  }
+
+  _put(docs, doc, primaryKey) {
+    const key = String(doc[primaryKey]);
+    const value = Immutable.fromJS(doc);
+    return Immutable.is(docs.get(key), value) ? docs : docs.set(key, value);
+  }
+
+  // Apply the pending writes to a document, in order, starting from its value before the first.
+  _replay(path, key, value) {
+    return _.reduce(this.pending, (doc, write) => {
+      if(write.key !== key || !_.isEqual(write.path, path)) {
+        return doc;
+      }
+      write.previous = doc;
+      return applyWrite(doc, write);
+    }, value);
+  }
+
+  // A change from the server becomes the base that pending writes to the documents it touches apply to.
+  _serverChange(context, update) {
+    const path = collectionPath(context);
+    return this._change(context, (before) => {
+      const after = update(before);
+      const touched = _.uniq(_.pluck(_.filter(this.pending, (write) => (
+        _.isEqual(write.path, path) && after.get(write.key) !== before.get(write.key))), 'key'));
+      return _.reduce(touched, (docs, key) => setDocument(docs, key, this._replay(path, key, after.get(key))), after);
+    });
+  }
+
+  _change(context, update) {
+    const path = collectionPath(context);
+    const before = this.entities.getIn(path, OrderedMap());
+    const after = update(before);
+    if(after !== before) {
+      this.entities = this.entities.setIn(path, after);
+      _.forEach(this.watchers, (watcher) => {
+        if(_.isEqual(watcher.path, path)) {
+          watcher._refresh();
+        }
+      });
+    }
+    return this;
+  }
+
+  _watch(collection, evaluate, listener) {
+    const watcher = new StoreWatcher(this, collectionPath(collection), evaluate, listener);
+    this.watchers = this.watchers.concat([watcher]);
+    return watcher;
+  }
+}
@@ -0,0 +1,317 @@
+/**
+ * Streaming reads of large collections.
+ *
+ * <pre>collection.stream(querySet)</pre> sends one GET for the query and produces the documents as the
+ * response arrives, rather than after the whole of it has been read.  Responses are read
+ * incrementally as NDJSON when the server answers with an NDJSON Content-Type (or the ndjson format
+ * was asked for), and otherwise as a JSON array, parsing each element as soon as it is complete.
+ *
+ * The stream implements the async iterator protocol, like the iterators in pagination.js.  It is
+ * pull-based: the next chunk of the response is only read once the consumer has taken every document
+ * parsed so far, so a slow consumer slows the download rather than filling memory.
+ * <pre>toNodeStream()</pre> gives an object-mode Readable with the same backpressure for Node pipelines.
+ *
+ * Responses are read through <pre>response.body</pre>, which may be a ReadableStream (fetch) or a Node
+ * Readable (nodeTransport).  Transports whose responses have no body are read in one piece.
+ *
+ * Pass a <pre>signal</pre> or <pre>timeout</pre> (see cancellation.js), or call <pre>cancel()</pre>, to stop
+ * reading; the response is abandoned and the waiting <pre>next()</pre> rejects with a CancelledError.
+ * Progress, <pre>{documents, bytes, total}</pre>, is reported to <pre>onProgress</pre> after every chunk, where
+ * total is the Content-Length if the server sent one.
+ *
+ * @example
+ * const docs = tickets.stream(new QuerySet().eq('status', 'open'), {onProgress: ({bytes, total}) => showProgress(bytes / total)});
+ * docs.next().then(({done, value}) => { ... });
+ * docs.toNodeStream().pipe(csvWriter);
+ */
+import _ from 'lodash';
+import Promise from 'bluebird';
+import { CancelToken, raceCancellation } from './cancellation.js';
+import { CancelledError, errorForStatus, asSondraError } from './errors.js';
+import { parseNdjson } from './decoders.js';
+import { nodeRequire } from './transport.js';
+
+const asyncIterator = (typeof Symbol !== 'undefined' && Symbol.asyncIterator) || '@@asyncIterator';
+const finished = () => ({done: true, value: undefined});
+const NDJSON_TYPES = ['application/x-ndjson', 'application/ndjson', 'application/jsonl'];
+
+/**
+ * Parses newline-delimited JSON a chunk at a time.
+ */
+export class NdjsonParser {
+  constructor() {
+    this.rest = '';
+  }
+
+  /**
+   * @param  {string} text - The next chunk of the response.
+   * @return {Array} - The values completed by the chunk.
+   */
+  push(text) {
+    const lines = (this.rest + text).split('\n');
+    this.rest = lines.pop();
+    return parseNdjson(lines.join('\n'));
+  }
+
+  end() {
+    const values = parseNdjson(this.rest);
+    this.rest = '';
+    return values;
+  }
+}
+
+/**
+ * Parses the elements of a JSON array a chunk at a time.
+ */
+export class JsonArrayParser {
+  constructor() {
+    this.started = false;
+    this.ended = false;
+    this.depth = 0;
+    this.inString = false;
+    this.escaped = false;
+    this.element = '';
+  }
+
+  push(text) {
+    const values = [];
+    const complete = () => {
+      if(this.element.trim() !== '') {
+        values.push(JSON.parse(this.element));
+      }
+      this.element = '';
+    };
+
+    for(let i = 0; i < text.length; i++) {
+      const c = text[i];
+      if(!this.started || this.ended) {
+        if(c === '[' && !this.started) {
+          this.started = true;
+        } else if(c.trim() !== '') {
+          throw new Error(`Expected a JSON array, found '${c}'`);
+        }
+      } else if(this.inString) {
+        this.element += c;
+        if(this.escaped) {
+          this.escaped = false;
+        } else if(c === '\\') {
+          this.escaped = true;
+        } else if(c === '"') {
+          this.inString = false;
+        }
+      } else if(this.depth === 0 && (c === ',' || c === ']')) {
+        complete();
+        this.ended = c === ']';
+      } else {
+        if(c === '"') {
+          this.inString = true;
+        } else if(c === '[' || c === '{') {
+          this.depth += 1;
+        } else if(c === ']' || c === '}') {
+          this.depth -= 1;
+        }
+        this.element += c;
+      }
+    }
+    return values;
+  }
+
+  end() {
+    if(!this.ended) {
+      throw new Error('The JSON array ended early');
+    }
+    return [];
+  }
+}
+
+/**
+ * A function that reads the next chunk of a response body, resolving to null at the end, with a
+ * <pre>cancel()</pre> that abandons the body.
+ */
+function chunkReader(rsp) {
+  const body = rsp.body;
+  if(body && _.isFunction(body.getReader)) {
+    const reader = body.getReader();
+    const read = () => reader.read().then(({done, value}) => (done ? null : value));
+    read.cancel = () => reader.cancel().catch(_.noop);
+    return read;
+  } else if(body && _.isFunction(body.read) && _.isFunction(body.on)) {
+    let ended = false;
+    let failure = null;
+    body.on('end', () => { ended = true; });
+    body.on('error', (err) => { failure = err; });
+    const read = () => new Promise((resolve, reject) => {
+      const attempt = () => {
+        const chunk = body.read();
+        if(failure) {
+          reject(failure);
+        } else if(chunk !== null) {
+          resolve(chunk);
+        } else if(ended) {
+          resolve(null);
+        } else {
+          const wake = () => {
+            body.removeListener('readable', wake);
+            body.removeListener('end', wake);
+            body.removeListener('error', wake);
+            attempt();
+          };
+          body.on('readable', wake);
+          body.on('end', wake);
+          body.on('error', wake);
+        }
+      };
+      attempt();
+    });
+    read.cancel = () => body.destroy();
+    return read;
+  }
+
+  // the whole body at once.
+  let read = false;
+  const readAll = () => {
+    if(read) {
+      return Promise.resolve(null);
+    }
+    read = true;
+    return _.isFunction(rsp.text) ? Promise.resolve(rsp.text()) : Promise.resolve(rsp.json()).then(JSON.stringify);
+  };
+  readAll.cancel = _.noop;
+  return readAll;
+}
+
+const byteLength = (chunk) => (_.isString(chunk) ? chunk.length : chunk.byteLength);
+
+/**
+ * A stream of the documents matching a query.  Created by <pre>Sondra.stream</pre>.
+ *
+ * @param {Sondra} context - The collection.
+ * @param {QuerySet} querySet - The query.
+ * @param {object} options - <pre>{format, onProgress, signal, timeout, transientContext}</pre>.  Set format to
+ *                           'ndjson' to ask the server for NDJSON.
+ */
+export class DocumentStream {
+  constructor(context, querySet, {format = null, onProgress = _.noop, signal = null, timeout = null, transientContext = {}} = {}) {
+    const base = context.merge(transientContext).query(querySet).set('requestMethod', 'GET');
+    this.context = format ? base.format(format) : base;
+    this.onProgress = onProgress;
+    this.token = new CancelToken(signal || this.context.get('signal'), timeout || this.context.get('timeout'));
+    this.buffer = [];
+    this.done = false;
+    this.read = null;
+    this.parser = null;
+    this.url = null;
+    this.pending = Promise.resolve();
+    this.counts = {documents: 0, bytes: 0, total: null};
+  }
+
+  /**
+   * <pre>{documents, bytes, total}</pre>: the documents produced and bytes read so far, and the
+   * Content-Length of the response, or null if it is unknown.
+   */
+  progress() {
+    return _.clone(this.counts);
+  }
+
+  _open() {
+    const request = this.context._prepareRequest();
+    const details = {url: request.url, method: 'GET'};
+    this.url = request.url;
+    request.options.stream = true;  // nodeTransport leaves the body unread for us.
+
+    return this.context._send(request, this.token).then((rsp) => {
+      if(!rsp.ok) {
+        return Promise.resolve(rsp.json()).catch(() => null).then((payload) => Promise.reject(errorForStatus(rsp.status, _.assign({payload}, details))));
+      }
+      const header = (name) => (rsp.headers ? rsp.headers.get(name) : null);
+      const contentType = (header('Content-Type') || '').split(';')[0].trim().toLowerCase();
+      const length = parseInt(header('Content-Length'), 10);
+      this.counts.total = _.isNaN(length) ? null : length;
+      this.parser = _.contains(NDJSON_TYPES, contentType) || this.context.getIn(['params', 'format']) === 'ndjson' ?
+        new NdjsonParser() : new JsonArrayParser();
+      this.decoder = new TextDecoder('utf-8');
+      this.read = chunkReader(rsp);
+      this.token.addEventListener('abort', this.read.cancel);
+    }).catch((err) => Promise.reject(asSondraError(err, details)));
+  }
+
+  _fill() {
+    return raceCancellation(Promise.resolve(this.read()), this.token, this.url).then((chunk) => {
+      let docs;
+      if(chunk === null) {
+        docs = this.parser.push(this.decoder.decode()).concat(this.parser.end());
+        this.done = true;
+        this.token.dispose();
+      } else {
+        this.counts.bytes += byteLength(chunk);
+        docs = this.parser.push(_.isString(chunk) ? chunk : this.decoder.decode(chunk, {stream: true}));
+      }
+      this.buffer = docs;
+      this.counts.documents += docs.length;
+      this.onProgress(this.progress());
+    });
+  }
+
+  _next() {
+    if(this.buffer.length) {
+      return Promise.resolve({done: false, value: this.buffer.shift()});
+    } else if(this.done) {
+      return Promise.resolve(finished());
+    } else if(this.token.aborted) {
+      return Promise.reject(new CancelledError(this.url || this.context.get('url'), this.token.reason));
+    }
+    return (this.read ? this._fill() : this._open()).then(() => this._next(), (err) => {
+      this.done = true;
+      this.token.dispose();
+      return Promise.reject(asSondraError(err, {url: this.url, method: 'GET'}));
+    });
+  }
+
+  next() {
+    const result = this.pending.then(() => this._next());
+    this.pending = result.catch(() => null);
+    return result;
+  }
+
+  /**
+   * Stop reading.  A next() that is waiting for the response rejects with a CancelledError.
+   */
+  cancel(reason = 'aborted') {
+    this.buffer = [];
+    if(!this.done) {
+      this.token.cancel(reason);
+    }
+    this.done = true;
+    this.token.dispose();
+    return this;
+  }
+
+  return() {
+    this.cancel();
+    return Promise.resolve(finished());
+  }
+
+  [asyncIterator]() {
+    return this;
+  }
+
+  /**
+   * The documents as a Node object-mode Readable.  Destroying it cancels the stream.
+   *
+   * @param {object} options - Optional. Passed to the Readable, e.g. <pre>{highWaterMark}</pre>.
+   */
+  toNodeStream(options = {}) {
+    const { Readable } = nodeRequire('stream');
+    const readable = new Readable(_.assign({}, options, {
+      objectMode: true,
+      read: () => {
+        this.next().then(({done, value}) => { readable.push(done ? null : value); }, (err) => { readable.destroy(err); });
+      },
+      destroy: (err, callback) => {
+        this.cancel();
+        callback(err);
+      }
+    }));
+    return readable;
+  }
+}
@@ -0,0 +1,7 @@
+/**
+ * Tools for testing applications built on the Sondra client.  They are kept out of the main module so
+ * that they do not ship in production bundles.
+ *
+ * @module sondra_client/testing
+ */
+export * from './fakeserver.js';
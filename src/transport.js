@@ -0,0 +1,126 @@
+/**
+ * Transports: the functions that actually send Sondra's HTTP requests.
+ *
+ * A transport has the signature of window.fetch: it takes a URL and fetch options
+ * (<pre>{method, headers, body, signal, ...}</pre>) and returns a promise of a response with
+ * <pre>ok</pre>, <pre>status</pre>, <pre>headers.get()</pre>, <pre>json()</pre> and <pre>text()</pre>, and
+ * <pre>blob()</pre> or <pre>arrayBuffer()</pre> for binary responses (see decoders.js).  Set one for a
+ * context and everything derived from it with <pre>.transport(t)</pre>.  Contexts without one use
+ * defaultTransport().
+ *
+ * * fetchTransport() uses the runtime's fetch: window.fetch in browsers, the global fetch in Node 18
+ *   and later.
+ * * nodeTransport() uses Node's http and https modules.
+ * * The <pre>fetch</pre> of a FakeSondraServer (see fakeserver.js) answers requests in memory, for tests.
+ *
+ * @example
+ * const suite = Sondra().suite('https', 'www.365pronto.com', 443).transport(nodeTransport());
+ */
+import _ from 'lodash';
+import Promise from 'bluebird';
+
+/**
+ * The global object: window in browsers, global in Node.
+ */
+export const globalObject = (typeof window !== 'undefined' && window) || (typeof global !== 'undefined' && global) || {};
+
+/**
+ * Node's require, hidden from bundlers so that browser builds do not pull in shims for Node's modules.
+ */
+export const nodeRequire = typeof require === 'function' ? require : null;
+
+/**
+ * A transport that uses fetch.
+ *
+ * @param  {function} fetchImpl - Optional. The fetch to use.  By default, the global fetch at the time of each request.
+ * @return {function(string, object)} - The transport.
+ */
+export function fetchTransport(fetchImpl = null) {
+  return (url, options) => (fetchImpl || globalObject.fetch)(url, options);
+}
+
+const readBody = (response) => new Promise((resolve, reject) => {
+  const chunks = [];
+  response.on('data', (chunk) => chunks.push(chunk));
+  response.on('error', reject);
+  response.on('end', () => resolve(Buffer.concat(chunks)));
+});
+
+const nodeResponse = (response, readAll, streaming) => ({
+  ok: response.statusCode >= 200 && response.statusCode < 300,
+  status: response.statusCode,
+  headers: {get: (name) => {
+    const value = response.headers[name.toLowerCase()];
+    return value === undefined ? null : (_.isArray(value) ? value.join(', ') : value);
+  }},
+  body: streaming ? response : null,
+  text: () => readAll().then((body) => body.toString('utf8')),
+  json: () => readAll().then((body) => JSON.parse(body.toString('utf8'))),
+  arrayBuffer: () => readAll().then((body) => body.buffer.slice(body.byteOffset, body.byteOffset + body.length)),
+  blob: _.isFunction(globalObject.Blob) ?
+    () => readAll().then((body) => new globalObject.Blob([body], {type: response.headers['content-type'] || ''})) :
+    undefined
+});
+
+/**
+ * A transport that uses Node's http and https modules.  Responses are read in full before the
+ * promise resolves, unless the options include <pre>stream: true</pre>, in which case <pre>body</pre> is the
+ * unread Node Readable.
+ *
+ * @param  {object} modules - Optional. <pre>{http, https}</pre>, the modules to use.  By default Node's own.
+ * @return {function(string, object)} - The transport.
+ */
+export function nodeTransport({http = null, https = null} = {}) {
+  return (url, options = {}) => new Promise((fulfil, fail) => {
+    const target = nodeRequire('url').parse(url);
+    const client = target.protocol === 'https:' ? (https || nodeRequire('https')) : (http || nodeRequire('http'));
+    const { signal } = options;
+    if(signal && signal.aborted) {
+      return fail(new Error('The request was aborted'));
+    }
+
+    // stop listening to the signal once the request settles, so that long-lived signals do not collect listeners.
+    const abort = () => {
+      request.abort();
+      reject(new Error('The request was aborted'));
+    };
+    const settled = (fn) => (value) => {
+      if(signal) {
+        signal.removeEventListener('abort', abort);
+      }
+      fn(value);
+    };
+    const resolve = settled(fulfil);
+    const reject = settled(fail);
+
+    const request = client.request({
+      method: options.method || 'GET',
+      hostname: target.hostname,
+      port: target.port,
+      path: target.path,
+      headers: options.headers || {}
+    }, (response) => {
+      if(options.stream) {  // leave the body to be read as it arrives. See stream.js.
+        resolve(nodeResponse(response, _.once(() => readBody(response)), true));
+      } else {
+        readBody(response).then((body) => resolve(nodeResponse(response, () => Promise.resolve(body), false)), reject);
+      }
+    });
+    request.on('error', reject);
+
+    if(signal) {
+      signal.addEventListener('abort', abort);
+    }
+    if(options.body !== null && options.body !== undefined) {
+      request.write(options.body);
+    }
+    request.end();
+  });
+}
+
+/**
+ * The transport for contexts that have none: fetch where the runtime has it, otherwise Node's http.
+ */
+export function defaultTransport() {
+  return _.isFunction(globalObject.fetch) ? fetchTransport() : nodeTransport();
+}
@@ -0,0 +1,347 @@
+/**
+ * TypeScript definitions generated from the schemas of a Sondra suite.
+ *
+ * <pre>fetchSchemas(context)</pre> walks a suite the way <pre>discover()</pre> does and collects every schema
+ * into one JSON bundle, which can be saved and used later without a server.
+ * <pre>generateTypes(bundle)</pre> turns a bundle into a <pre>.d.ts</pre> module with an interface for the
+ * documents of each collection, the request and response types of every app, collection and
+ * document method, and typed views of <pre>app()</pre>, <pre>collection()</pre>, <pre>document()</pre> and
+ * <pre>method()</pre>.  Cast a context to the generated <pre>Suite</pre> type to use them.
+ *
+ * The <pre>sondra-typegen</pre> command (bin/sondra-typegen.js) runs both:
+ *
+ * <pre>
+ * sondra-typegen https://www.365pronto.com:443/api --out pronto.d.ts --save pronto-schemas.json
+ * sondra-typegen pronto-schemas.json --out pronto.d.ts          # offline, from a saved bundle
+ * sondra-typegen core.json core.tickets.json --out core.d.ts    # offline, from saved fetchSchema() results
+ * </pre>
+ *
+ * Saved schemas named <pre>app.json</pre> are app schemas and <pre>app.collection.json</pre> collection
+ * schemas.  Method schemas are read from a method listing that maps names to schemas; methods
+ * listed only by name take and return <pre>any</pre> offline.
+ *
+ * @example
+ * import { Suite } from './pronto';
+ * const pronto = Sondra().suite('https', 'www.365pronto.com', 443) as any as Suite;
+ * pronto.app('core').collection('tickets').fetchDocument(id).then((ticket) => ticket.status);
+ */
+import _ from 'lodash';
+import Promise from 'bluebird';
+
+const IDENTIFIER = /^[A-Za-z_$][A-Za-z0-9_$]*$/;
+const INDENT = '  ';
+
+const pascal = (name) => _.capitalize(_.camelCase(name));
+const propertyName = (name) => (IDENTIFIER.test(name) ? name : JSON.stringify(name));
+const names = (listing) => (_.isArray(listing) ? listing : _.keys(listing || {}));
+const documentMethodListing = (schema) => schema.documentMethods || schema.document_methods;
+
+// The schemas given in a method listing that maps names to schemas.
+const listedSchemas = (listing) => (_.isPlainObject(listing) ? _.pick(listing, _.isPlainObject) : {});
+
+const fetchOrNull = (context) => context.fetchSchema().catch(() => null);
+
+const fetchMethods = (listing, contextFor) => {
+  const listed = listedSchemas(listing);
+  return Promise.props(_.zipObject(names(listing), _.map(names(listing), (name) => listed[name] || fetchOrNull(contextFor(name)))));
+};
+
+/**
+ * Fetch every schema of the suite a context belongs to.
+ *
+ * @param  {Sondra} context - Any context in the suite.
+ * @return {Promise} - Resolves to a bundle: <pre>{suite, methods, apps: {app: {schema, methods, collections:
+ *                     {collection: {schema, methods, documentMethods}}}}}</pre>, where each method is its
+ *                     schema, or null if the server has none.
+ */
+export function fetchSchemas(context) {
+  const root = context.merge({app: null, collection: null, document: null, method: null, requestMethod: 'GET'}).calculateUrl();
+
+  const fetchCollection = (app, collection) => {
+    const target = root.app(app).collection(collection);
+    return target.fetchSchema().then((schema) => Promise.props({
+      schema,
+      methods: fetchMethods(schema.methods, (name) => target.method(name)),
+      documentMethods: fetchMethods(documentMethodListing(schema), (name) => target.document('*').method(name))
+    }));
+  };
+
+  const fetchApp = (app) => root.app(app).fetchSchema().then((schema) => Promise.props({
+    schema,
+    methods: fetchMethods(schema.methods, (name) => root.app(app).method(name)),
+    collections: Promise.props(_.zipObject(names(schema.collections), _.map(names(schema.collections), (c) => fetchCollection(app, c))))
+  }));
+
+  return root.fetchSchema().then((schema) => Promise.props({
+    suite: schema,
+    methods: fetchMethods(schema.methods, (name) => root.method(name)),
+    apps: Promise.props(_.zipObject(names(schema.applications), _.map(names(schema.applications), fetchApp)))
+  }));
+}
+
+/**
+ * Make a bundle from schemas saved one at a time from <pre>fetchSchema()</pre>.
+ *
+ * @param  {object} files - The schemas, keyed by file name: <pre>app.json</pre> for an app and
+ *                          <pre>app.collection.json</pre> for a collection.
+ * @return {object} - A bundle, as returned by fetchSchemas.
+ */
+export function bundleSchemas(files) {
+  const bundle = {suite: null, methods: {}, apps: {}};
+  const appEntry = (app) => {
+    bundle.apps[app] = bundle.apps[app] || {schema: {}, methods: {}, collections: {}};
+    return bundle.apps[app];
+  };
+  const methodsOf = (listing) => _.assign(_.zipObject(names(listing), _.map(names(listing), () => null)), listedSchemas(listing));
+
+  _.forEach(files, (schema, fileName) => {
+    const parts = fileName.replace(/^.*[\\/]/, '').replace(/\.json$/, '').split('.');
+    if(parts.length === 1) {
+      _.assign(appEntry(parts[0]), {schema, methods: methodsOf(schema.methods)});
+    } else if(parts.length === 2) {
+      appEntry(parts[0]).collections[parts[1]] = {
+        schema,
+        methods: methodsOf(schema.methods),
+        documentMethods: methodsOf(documentMethodListing(schema))
+      };
+    } else {
+      throw new Error(`Cannot tell which schema ${fileName} is; expected app.json or app.collection.json`);
+    }
+  });
+  return bundle;
+}
+
+/**
+ * The TypeScript type for a JSON Schema.
+ *
+ * @param  {object} schema - The schema.
+ * @param  {object} root - The schema that local $refs are resolved against.
+ * @param  {string} indent - The indentation of the line the type starts on.
+ * @return {string}
+ */
+export function schemaType(schema, root = schema, indent = '', seen = []) {
+  const recurse = (s) => schemaType(s, root, indent, seen);
+  if(!_.isPlainObject(schema) || _.isEmpty(schema)) {
+    return 'any';
+  } else if(schema.$ref) {
+    const ref = schema.$ref;
+    const target = _.startsWith(ref, '#') && !_.contains(seen, ref) ?
+      _.reduce(_.compact(ref.slice(1).split('/')), (s, part) => (s ? s[part] : undefined), root) : null;
+    return target ? schemaType(target, root, indent, seen.concat([ref])) : 'any';
+  } else if(schema.enum) {
+    return _.map(schema.enum, (v) => JSON.stringify(v)).join(' | ');
+  } else if(schema.anyOf || schema.oneOf) {
+    return _.uniq(_.map(schema.anyOf || schema.oneOf, recurse)).join(' | ');
+  } else if(schema.allOf) {
+    return _.map(schema.allOf, (s) => `(${recurse(s)})`).join(' & ');
+  }
+
+  let types = _.isArray(schema.type) ? schema.type : [schema.type];
+  if(!schema.type) {
+    types = [schema.properties ? 'object' : (schema.items ? 'array' : null)];
+  }
+  return _.uniq(_.map(types, (type) => {
+    switch(type) {
+      case 'string':
+      case 'boolean':
+      case 'null':
+        return type;
+      case 'number':
+      case 'integer':
+        return 'number';
+      case 'array':
+        return _.isPlainObject(schema.items) ? `Array<${recurse(schema.items)}>` : 'any[]';
+      case 'object':
+        return objectType(schema, root, indent, seen);
+      default:
+        return 'any';
+    }
+  })).join(' | ');
+}
+
+const comment = (schema, indent) => {
+  const text = schema && (schema.description || schema.title);
+  return text ? `${indent}/** ${text.replace(/\*\//g, '*\\/').replace(/\s*\n\s*/g, ' ')} */\n` : '';
+};
+
+function objectType(schema, root, indent, seen) {
+  const inner = indent + INDENT;
+  const required = schema.required || [];
+  const lines = _.map(schema.properties || {}, (property, name) => (
+    `${comment(property, inner)}${inner}${propertyName(name)}${_.contains(required, name) ? '' : '?'}: ${schemaType(property, root, inner, seen)};`));
+
+  if(schema.additionalProperties !== false) {
+    const extra = _.isPlainObject(schema.additionalProperties) && !schema.properties ?
+      schemaType(schema.additionalProperties, root, inner, seen) : 'any';
+    lines.push(`${inner}[key: string]: ${extra};`);
+  }
+  return lines.length ? `{\n${lines.join('\n')}\n${indent}}` : '{}';
+}
+
+// The request and response types of a method, from its schema: {request, response} or just the request.
+const methodType = (schema, indent) => {
+  if(!schema) {
+    return 'SondraMethod<any, any>';
+  }
+  const request = schema.request || (schema.response ? null : schema);
+  return `SondraMethod<${schemaType(request, schema, indent)}, ${schemaType(schema.response, schema, indent)}>`;
+};
+
+const methodsInterface = (name, methods, indent) => {
+  const inner = indent + INDENT;
+  const lines = _.map(methods || {}, (schema, method) => `${comment(schema, inner)}${inner}${propertyName(method)}: ${methodType(schema, inner)};`);
+  return `${indent}export interface ${name} {${lines.length ? `\n${lines.join('\n')}\n${indent}` : ''}}`;
+};
+
+const keyType = (schema) => {
+  const key = schema.properties && schema.properties[schema.primary_key || schema.primaryKey || 'id'];
+  return key && _.contains(['number', 'integer'], key.type) ? 'number' : 'string';
+};
+
+const BASE_TYPES = `export interface TransientContext<Body> {
+  body?: Body;
+  [key: string]: any;
+}
+
+export interface Deferred<T> {
+  deferredRequestId: number;
+  data: T;
+}
+
+export interface SondraContext {
+  [key: string]: any;
+}
+
+export interface SondraMethod<Request, Response> extends SondraContext {
+  call(transientContext?: TransientContext<Request>): Promise<Response>;
+  callWith(body?: Request): Promise<Response>;
+  robustCall(transientContext?: TransientContext<Request>, ...rest: any[]): Promise<Deferred<Response>>;
+}
+
+export interface SondraDocument<Doc, Methods> extends SondraContext {
+  call(transientContext?: TransientContext<Partial<Doc>>): Promise<Doc>;
+  method<M extends keyof Methods>(name: M): Methods[M];
+}
+
+export interface SondraCollection<Doc, Key, Methods, DocumentMethods> extends SondraContext {
+  call(transientContext?: TransientContext<any>): Promise<Doc[]>;
+  fetchDocument(key: Key, transientContext?: TransientContext<any>): Promise<Doc>;
+  createDocument(key: Key, doc: Doc): Promise<Doc>;
+  replaceDocument(key: Key, replacement: Doc): Promise<Doc>;
+  patchDocument(key: Key, values: Partial<Doc>): Promise<Doc>;
+  deleteDocument(key: Key): Promise<Doc>;
+  document(key: Key): SondraDocument<Doc, DocumentMethods>;
+  method<M extends keyof Methods>(name: M): Methods[M];
+}
+
+export interface SondraApp<Collections, Methods> extends SondraContext {
+  collection<C extends keyof Collections>(name: C): Collections[C];
+  method<M extends keyof Methods>(name: M): Methods[M];
+}
+
+export interface SondraSuite<Apps, Methods> extends SondraContext {
+  app<A extends keyof Apps>(name: A): Apps[A];
+  method<M extends keyof Methods>(name: M): Methods[M];
+}`;
+
+/**
+ * Generate TypeScript definitions from a bundle of schemas.
+ *
+ * @param  {object} bundle - As returned by fetchSchemas or bundleSchemas.
+ * @param  {object} options - <pre>{source}</pre>, where the schemas came from, for the header comment.
+ * @return {string} - The contents of a .d.ts file.
+ */
+export function generateTypes(bundle, {source = 'Sondra schemas'} = {}) {
+  const apps = _.map(bundle.apps, (app, appName) => {
+    const ns = pascal(appName);
+    const collections = _.map(app.collections, (collection, collectionName) => {
+      const type = pascal(collectionName);
+      const schema = collection.schema || {};
+      return [
+        `${comment(schema, INDENT)}${INDENT}export interface ${type}Document ${schemaType(_.assign({type: 'object'}, schema), schema, INDENT)}`,
+        methodsInterface(`${type}Methods`, collection.methods, INDENT),
+        methodsInterface(`${type}DocumentMethods`, collection.documentMethods, INDENT),
+        `${INDENT}export type ${type}Collection = SondraCollection<${type}Document, ${keyType(schema)}, ${type}Methods, ${type}DocumentMethods>;`
+      ].join('\n\n');
+    });
+    const collectionsInterface = `${INDENT}export interface Collections {${_.map(app.collections, (c, name) => (
+      `\n${INDENT}${INDENT}${propertyName(name)}: ${pascal(name)}Collection;`)).join('')}${_.isEmpty(app.collections) ? '' : `\n${INDENT}`}}`;
+
+    return `${comment(app.schema, '')}export namespace ${ns} {\n${collections.concat([
+      collectionsInterface,
+      methodsInterface('Methods', app.methods, INDENT),
+      `${INDENT}export type App = SondraApp<Collections, Methods>;`
+    ]).join('\n\n')}\n}`;
+  });
+
+  const appsInterface = `export interface Apps {${_.map(bundle.apps, (a, name) => `\n${INDENT}${propertyName(name)}: ${pascal(name)}.App;`).join('')}${_.isEmpty(bundle.apps) ? '' : '\n'}}`;
+
+  return [
+    `// Generated by sondra-typegen from ${source}. Do not edit.`,
+    BASE_TYPES
+  ].concat(apps, [
+    appsInterface,
+    methodsInterface('SuiteMethods', bundle.methods, ''),
+    'export type Suite = SondraSuite<Apps, SuiteMethods>;'
+  ]).join('\n\n') + '\n';
+}
+
+const USAGE = `usage: sondra-typegen (SUITE_URL | BUNDLE.json | SCHEMA.json...) [--out FILE] [--save FILE]
+
+  SUITE_URL    the suite to fetch schemas from, e.g. https://www.365pronto.com:443/api
+  BUNDLE.json  a bundle saved with --save
+  SCHEMA.json  schemas saved from fetchSchema(), named app.json or app.collection.json
+  --out FILE   write the definitions to FILE rather than standard output
+  --save FILE  also save the fetched schemas to FILE, to generate from offline later`;
+
+/**
+ * Parse a suite URL into the arguments of <pre>Sondra.suite</pre>.
+ */
+export function parseSuiteUrl(url) {
+  const match = /^(https?):\/\/([^:/]+)(?::(\d+))?(\/.*)?$/.exec(url);
+  if(!match) {
+    throw new Error(`Not a suite URL: ${url}`);
+  }
+  const [, protocol, host, port, path] = match;
+  return {protocol, host, port: port || (protocol === 'https' ? '443' : '80'), basePath: _.compact((path || '/api').split('/'))};
+}
+
+/**
+ * Run the sondra-typegen command.
+ *
+ * @param  {Array} args - The command line arguments.
+ * @param  {object} io - <pre>{readFile, writeFile, print, suite}</pre>: read and write files as strings,
+ *                       print to standard output, and make a Sondra suite context from a parsed URL.
+ * @return {Promise} - Resolves to the exit status.
+ */
+export function runCli(args, {readFile, writeFile, print, suite}) {
+  const options = {out: null, save: null, inputs: []};
+  for(let i = 0; i < args.length; i++) {
+    if(args[i] === '--out' || args[i] === '--save') {
+      options[args[i].slice(2)] = args[++i];
+    } else if(args[i] === '--help' || args[i] === '-h') {
+      print(USAGE);
+      return Promise.resolve(0);
+    } else {
+      options.inputs.push(args[i]);
+    }
+  }
+  if(!options.inputs.length || _.some(_.pick(options, 'out', 'save'), (v) => v === undefined)) {
+    print(USAGE);
+    return Promise.resolve(2);
+  }
+
+  const [first] = options.inputs;
+  const fromServer = /^https?:\/\//.test(first);
+  const bundle = fromServer ?
+    fetchSchemas(suite(parseSuiteUrl(first))).tap((b) => options.save && writeFile(options.save, JSON.stringify(b, null, 2))) :
+    Promise.all(_.map(options.inputs, readFile)).then((texts) => {
+      const parsed = _.map(texts, (text) => JSON.parse(text));
+      return parsed.length === 1 && _.has(parsed[0], 'apps') ? parsed[0] : bundleSchemas(_.zipObject(options.inputs, parsed));
+    });
+
+  return bundle.then((b) => {
+    const types = generateTypes(b, {source: fromServer ? first : options.inputs.join(', ')});
+    return options.out ? writeFile(options.out, types) : print(types);
+  }).then(() => 0);
+}
@@ -0,0 +1,217 @@
+/**
+ * Client-side validation of request bodies against the JSON Schemas that Sondra serves.
+ *
+ * Validation is opt-in.  Turn it on for a context and everything derived from it with
+ * <pre>.validating()</pre>; from then on <pre>createDocument</pre> and <pre>replaceDocument</pre> check
+ * the whole document against the collection schema, <pre>patchDocument</pre> checks only the fields
+ * given, and method calls check their body against the method's request schema.  A request that
+ * fails validation is never sent; <pre>call()</pre> and <pre>robustCall()</pre> reject with a
+ * ValidationError whose <pre>errors</pre> are <pre>[{path, message}, ...]</pre>.  A robust call is
+ * validated once, before its first attempt, and not again when it is retried or replayed.
+ *
+ * Schemas are fetched once per collection or method and cached in a SchemaCache shared by every
+ * context derived from the one validation was turned on for.
+ *
+ * Only the commonly used parts of JSON Schema draft 4 are checked: type, enum, properties,
+ * required, additionalProperties, items, min/maxItems, min/maxLength, pattern, minimum/maximum
+ * (with exclusiveMinimum/exclusiveMaximum), allOf, anyOf, oneOf and local <pre>$ref</pre>s.
+ * Anything else, including references to other resources, is assumed to be valid.
+ */
+import _ from 'lodash';
+import Promise from 'bluebird';
+import { ValidationError } from './errors.js';
+
+const typeOf = (value) => {
+  if(value === null) {
+    return 'null';
+  } else if(_.isArray(value)) {
+    return 'array';
+  } else if(_.isNumber(value)) {
+    return value % 1 === 0 ? 'integer' : 'number';
+  } else {
+    return typeof value;
+  }
+};
+
+const matchesType = (type, value) => {
+  const actual = typeOf(value);
+  return _.some(_.isArray(type) ? type : [type], (t) => t === actual || (t === 'number' && actual === 'integer'));
+};
+
+const resolve = (root, schema) => {
+  if(schema && _.isString(schema.$ref) && schema.$ref.indexOf('#/') === 0) {
+    return resolve(root, _.get(root, schema.$ref.slice(2).split('/')));
+  }
+  return schema;
+};
+
+const fieldPath = (path, key) => path ? `${path}.${key}` : `${key}`;
+
+function check(root, schemaOrRef, value, path, partial, errors) {
+  const schema = resolve(root, schemaOrRef);
+  if(!_.isPlainObject(schema)) {
+    return errors;
+  }
+
+  const fail = (message) => { errors.push({path, message}); };
+
+  if(_.has(schema, 'type') && !matchesType(schema.type, value)) {
+    fail(`should be of type ${_.isArray(schema.type) ? schema.type.join(' or ') : schema.type}`);
+    return errors;
+  }
+
+  if(_.has(schema, 'enum') && !_.some(schema.enum, (v) => _.isEqual(v, value))) {
+    fail(`should be one of ${JSON.stringify(schema.enum)}`);
+  }
+
+  if(_.isString(value)) {
+    if(_.has(schema, 'minLength') && value.length < schema.minLength) {
+      fail(`should be at least ${schema.minLength} characters long`);
+    }
+    if(_.has(schema, 'maxLength') && value.length > schema.maxLength) {
+      fail(`should be at most ${schema.maxLength} characters long`);
+    }
+    if(_.has(schema, 'pattern') && !new RegExp(schema.pattern).test(value)) {
+      fail(`should match the pattern ${schema.pattern}`);
+    }
+  }
+
+  if(_.isNumber(value)) {
+    if(_.has(schema, 'minimum') && (schema.exclusiveMinimum ? value <= schema.minimum : value < schema.minimum)) {
+      fail(`should be ${schema.exclusiveMinimum ? 'greater than' : 'at least'} ${schema.minimum}`);
+    }
+    if(_.has(schema, 'maximum') && (schema.exclusiveMaximum ? value >= schema.maximum : value > schema.maximum)) {
+      fail(`should be ${schema.exclusiveMaximum ? 'less than' : 'at most'} ${schema.maximum}`);
+    }
+  }
+
+  if(_.isArray(value)) {
+    if(_.has(schema, 'minItems') && value.length < schema.minItems) {
+      fail(`should have at least ${schema.minItems} items`);
+    }
+    if(_.has(schema, 'maxItems') && value.length > schema.maxItems) {
+      fail(`should have at most ${schema.maxItems} items`);
+    }
+    if(_.isPlainObject(schema.items)) {
+      _.forEach(value, (item, i) => check(root, schema.items, item, fieldPath(path, i), false, errors));
+    }
+  }
+
+  if(_.isPlainObject(value)) {
+    const properties = schema.properties || {};
+    if(!partial) {
+      _.forEach(schema.required || [], (name) => {
+        if(!_.has(value, name)) {
+          errors.push({path: fieldPath(path, name), message: 'is required'});
+        }
+      });
+    }
+    _.forEach(value, (v, name) => {
+      if(_.has(properties, name)) {
+        check(root, properties[name], v, fieldPath(path, name), false, errors);
+      } else if(schema.additionalProperties === false) {
+        errors.push({path: fieldPath(path, name), message: 'is not an allowed field'});
+      } else if(_.isPlainObject(schema.additionalProperties)) {
+        check(root, schema.additionalProperties, v, fieldPath(path, name), false, errors);
+      }
+    });
+  }
+
+  _.forEach(schema.allOf || [], (s) => check(root, s, value, path, partial, errors));
+
+  if(_.has(schema, 'anyOf') && !_.some(schema.anyOf, (s) => check(root, s, value, path, partial, []).length === 0)) {
+    fail('should match at least one of the allowed schemas');
+  }
+
+  if(_.has(schema, 'oneOf') && _.filter(schema.oneOf, (s) => check(root, s, value, path, partial, []).length === 0).length !== 1) {
+    fail('should match exactly one of the allowed schemas');
+  }
+
+  return errors;
+}
+
+/**
+ * Validate a value against a JSON Schema.
+ *
+ * @param  {object} schema - The schema.
+ * @param  {any} value - The value to check.
+ * @param  {object} options - <pre>{partial}</pre>. If partial is true, required fields at the top level may be missing, as in a PATCH.
+ * @return {Array} - A list of <pre>{path, message}</pre> objects, one per problem. Empty if the value is valid.
+ */
+export function validate(schema, value, {partial = false} = {}) {
+  return check(schema, schema, value, '', partial, []);
+}
+
+/**
+ * A cache of the schemas fetched for validation, keyed by the URL of the collection or method.
+ * Every document of a collection shares the schemas of its document methods, so those are keyed
+ * with <pre>*</pre> in place of the document's key.
+ */
+export class SchemaCache {
+  constructor() {
+    this.schemas = {};
+  }
+
+  /**
+   * @param  {Sondra} context - A collection or method context.
+   * @return {Promise} - Resolves to the schema for the context, fetching it only the first time.
+   */
+  fetch(context) {
+    // fetch the schema with a plain GET, and without validating the schema request itself.
+    const target = context.remove('params').remove('requestMethod').remove('body').remove('querySet').remove('validation').calculateUrl();
+    const key = target.get('document') ? target.set('document', '*').calculateUrl().get('url') : target.get('url');
+    if(!_.has(this.schemas, key)) {
+      this.schemas[key] = target.fetchSchema().catch((err) => {
+        delete this.schemas[key];
+        return Promise.reject(err);
+      });
+    }
+    return Promise.resolve(this.schemas[key]);
+  }
+}
+
+/**
+ * The schema and kind of validation that applies to a request, or null if it doesn't need checking.
+ *
+ * @param  {Sondra} context - The context of the request, with any transient context applied.
+ * @return {Promise} - Resolves to <pre>{schema, partial}</pre> or null.
+ */
+function requestSchema(context) {
+  const { api, app, collection, document, method, requestMethod, validation } = context.toObject();
+
+  if(method) {
+    return validation.fetch(context)
+      .then((schema) => ({schema: schema.request || schema, partial: false}));
+  } else if(document && collection && _.contains(['POST', 'PUT', 'PATCH'], requestMethod)) {
+    const partial = requestMethod === 'PATCH';
+    const discovered = _.get(api, [app, collection, 'schema']);
+    return Promise.resolve(discovered || validation.fetch(context.set('document', null)))
+      .then((schema) => ({schema, partial}));
+  } else {
+    return Promise.resolve(null);
+  }
+}
+
+/**
+ * Check the body of a request against its schema.
+ *
+ * @param  {Sondra} context - The context of the request, with any transient context applied.
+ * @return {Promise} - Resolves if the request is valid or needs no validation. Rejects with a
+ *                     ValidationError otherwise.
+ */
+export function validateRequest(context) {
+  if(!context.get('validation')) {
+    return Promise.resolve();
+  }
+
+  return requestSchema(context).then((found) => {
+    if(found) {
+      const body = context.get('body');
+      const errors = validate(found.schema, body && body.toJS ? body.toJS() : body, {partial: found.partial});
+      if(errors.length) {
+        const message = _.map(errors, ({path, message}) => `${path || 'body'} ${message}`).join('; ');
+        return Promise.reject(new ValidationError(message, {url: context.get('url'), method: context.get('requestMethod'), errors}));
+      }
+    }
+  });
+}
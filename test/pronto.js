@@ -0,0 +1,33 @@
+// A fake of the pronto suite that the specs were originally written against.
+const _ = require('lodash');
+const { FakeSondraServer } = require('../src/fakeserver.js');
+const { jsonResponse } = require('../src/middleware.js');
+
+const users = {jefferson: 'tanac32fark'};
+
+function prontoServer() {
+  let tokens = 0;
+  return new FakeSondraServer({port: 5000})
+    .collection('auth', 'users', {
+      primaryKey: 'username',
+      schema: {properties: {username: {type: 'string'}, email: {type: 'string'}}, required: ['username']},
+      documents: [{username: 'jefferson', email: 'jefferson@example.com'}]
+    })
+    .method('auth.login', ({username, password}) => {
+      if(password === undefined) {
+        throw new TypeError('login() missing required argument: password');
+      } else if(users[username] !== password) {
+        return jsonResponse({error: 'PermissionDenied', message: 'Bad username or password'}, 403);
+      }
+      tokens += 1;
+      return `token-${username}-${tokens}`;
+    })
+    .collection('core', 'tickets', {
+      documents: _.map(_.range(1, 4), (i) => ({id: `t${i}`, title: `Ticket ${i}`, status: 'open'}))
+    })
+    .collection('core', 'certifications', {
+      documents: _.map(_.range(1, 13), (i) => ({id: `c${i}`, name: `Certification ${i}`}))
+    });
+}
+
+module.exports = { prontoServer };
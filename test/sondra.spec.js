@@ -1,9 +1,14 @@
 const chai = require('chai');
 const { Sondra } = require('../src/sondra.js');
+const { prontoServer } = require('./pronto.js');
 
 chai.should();
 
 describe('Sondra', () => {
+  const server = prontoServer();
+  before(() => { server.install(); });
+  after(() => { server.uninstall(); });
+
   describe('auth', () => {
     const pronto = new Sondra().suite('http', 'localhost', 5000);
     const auth = pronto.app('auth');
@@ -11,6 +16,11 @@ describe('Sondra', () => {
     const login = auth.method('login');
     const jefferson = users.document('jefferson');
 
+    it('returns the url for the suite, under its base path', () => {
+      pronto.get('url').should.equal('http://localhost:5000/api;format=json');
+      new Sondra().suite('http', 'localhost', 5000, ['v1', 'api']).app('auth').get('url').should.equal('http://localhost:5000/v1/api/auth;format=json');
+    });
+
     it('returns the url for the auth app', () => {
       auth.get('url').should.equal('http://localhost:5000/api/auth;format=json');
     });
@@ -0,0 +1,96 @@
+const chai = require('chai');
+const Promise = require('bluebird');
+const { Sondra } = require('../src/sondra.js');
+const { FakeSondraServer } = require('../src/fakeserver.js');
+
+chai.should();
+
+const documents = [{id: 'a'}, {id: 'b'}, {id: 'c'}, {id: 'd'}];
+
+describe('Sondra bulk operations', function() {
+  const tickets = new Sondra().suite('http', 'localhost', 5000).app('core').collection('tickets');
+  const isBad = ({document}) => document === 'bad';
+  const isCollection = ({document}) => document === null;
+  let server;
+
+  beforeEach(function() {
+    server = new FakeSondraServer().collection('core', 'tickets', {documents}).install();
+  });
+
+  afterEach(function() {
+    server.uninstall();
+  });
+
+  it('creates documents one at a time with limited concurrency and reports each item', function() {
+    let inFlight = 0;
+    let maxInFlight = 0;
+    const slowly = (url, options) => {
+      inFlight += 1;
+      maxInFlight = Math.max(maxInFlight, inFlight);
+      return Promise.delay(5).then(() => server.fetch(url, options)).finally(() => { inFlight -= 1; });
+    };
+
+    server.fail({status: 400, body: {reason: 'bad document'}}, {match: isBad});
+    const docs = [{id: 'e'}, {id: 'bad'}, {id: 'f'}, {id: 'g'}, {id: 'h'}];
+    return tickets.transport(slowly).bulkCreate(docs, {concurrency: 2}).then(({results, succeeded, failed}) => {
+      results.should.have.length(5);
+      succeeded.map((r) => r.key).should.deep.equal(['e', 'f', 'g', 'h']);
+      failed.map((r) => r.key).should.deep.equal(['bad']);
+      failed[0].index.should.equal(1);
+      maxInFlight.should.equal(2);
+      server.requests.every((r) => r.requestMethod === 'POST').should.be.true;
+    });
+  });
+
+  it('patches, replaces and deletes by key', function() {
+    return tickets.bulkPatch({a: {status: 'closed'}, b: {status: 'closed'}})
+      .then(({succeeded}) => {
+        succeeded.map((r) => r.key).should.deep.equal(['a', 'b']);
+        return tickets.bulkReplace([['c', {title: 'C'}]]);
+      })
+      .then(() => tickets.bulkDelete(['d', 'bad']))
+      .then(({failed}) => {
+        failed.map((r) => r.key).should.deep.equal(['bad']);
+        server.requests.map((r) => r.requestMethod).should.deep.equal(['PATCH', 'PATCH', 'PUT', 'DELETE', 'DELETE']);
+        server.documents('core', 'tickets').should.deep.equal([
+          {id: 'a', status: 'closed'},
+          {id: 'b', status: 'closed'},
+          {id: 'c', title: 'C'}
+        ]);
+      });
+  });
+
+  it('uses the bulk endpoint when there is one', function() {
+    return tickets.bulkPatch({a: {status: 'closed'}, z: {status: 'closed'}}, {endpoint: true}).then(({succeeded, failed}) => {
+      server.requests.should.have.length(1);
+      server.requests[0].url.should.equal('http://localhost:5000/api/core/tickets;format=json');
+      server.requests[0].requestMethod.should.equal('PATCH');
+      server.requests[0].body.should.deep.equal({documents: [{id: 'a', status: 'closed'}, {id: 'z', status: 'closed'}]});
+      succeeded.map((r) => r.key).should.deep.equal(['a']);
+      failed[0].error.should.equal('Document z does not exist');
+    });
+  });
+
+  it('fails the items the bulk endpoint has no result for', function() {
+    server.fail({status: 200, body: [{id: 'e'}]}, {match: isCollection});
+    return tickets.bulkCreate([{id: 'e'}, {id: 'f'}], {endpoint: true}).then(({succeeded, failed}) => {
+      succeeded.map((r) => r.key).should.deep.equal(['e']);
+      failed.map((r) => r.key).should.deep.equal(['f']);
+      failed[0].error.message.should.match(/no result for item 1/);
+      server.fail({status: 200, body: {ok: true}}, {match: isCollection});
+      return tickets.bulkDelete(['a', 'b'], {endpoint: true});
+    }).then(({succeeded, failed}) => {
+      succeeded.should.have.length(0);
+      failed.should.have.length(2);
+    });
+  });
+
+  it('falls back to individual requests when the server has no bulk endpoint', function() {
+    server.fail(405, {match: isCollection});
+    return tickets.setIn(['bulk', 'endpoint'], true).bulkDelete(['a', 'b']).then(({succeeded}) => {
+      succeeded.should.have.length(2);
+      server.requests.map((r) => r.requestMethod).should.deep.equal(['DELETE', 'DELETE', 'DELETE']);
+      server.requests[0].body.should.deep.equal({keys: ['a', 'b']});
+    });
+  });
+});
@@ -0,0 +1,117 @@
+const chai = require('chai');
+const { Sondra } = require('../src/sondra.js');
+const { ResponseCache } = require('../src/cache.js');
+const { FakeSondraServer } = require('../src/fakeserver.js');
+
+chai.should();
+
+describe('Sondra response cache', function() {
+  const suite = new Sondra().suite('http', 'localhost', 5000);
+  const methods = () => server.requests.map((r) => r.requestMethod);
+  let server;
+
+  beforeEach(function() {
+    server = new FakeSondraServer()
+      .collection('core', 'tickets', {documents: [{id: 't1', version: 1}, {id: 't2', version: 1}]})
+      .install();
+  });
+
+  afterEach(function() {
+    server.uninstall();
+  });
+
+  it('serves repeated GETs from the cache within the TTL', function() {
+    const tickets = suite.caching().app('core').collection('tickets');
+    return tickets.fetchDocument('t1')
+      .then(() => tickets.fetchDocument('t1'))
+      .then((doc) => {
+        doc.version.should.equal(1);
+        server.requests.should.have.length(1);
+      });
+  });
+
+  it('keys entries on the query as well as the URL', function() {
+    const tickets = suite.caching().app('core').collection('tickets');
+    return tickets.call()
+      .then(() => tickets.query(tickets.query().limit(5)).call())
+      .then(() => {
+        server.requests.should.have.length(2);
+      });
+  });
+
+  it('revalidates stale entries with If-None-Match', function() {
+    const tickets = suite.caching({ttl: -1}).app('core').collection('tickets');
+    return tickets.fetchDocument('t1')
+      .then(() => tickets.fetchDocument('t1'))
+      .then((doc) => {
+        doc.version.should.equal(1);  // the server said 304, so this is the cached copy.
+        server.requests[1].headers['If-None-Match'].should.be.a('string');
+        server.collection('core', 'tickets', {documents: [{id: 't1', version: 2}]});
+        return tickets.fetchDocument('t1');
+      })
+      .then((doc) => {
+        doc.version.should.equal(2);
+      });
+  });
+
+  it('answers a 304 from the entry it revalidated, even if that entry has since been dropped', function() {
+    const cache = new ResponseCache({ttl: -1});
+    const tickets = suite.caching(cache).app('core').collection('tickets');
+    return tickets.fetchDocument('t1')
+      .then(() => tickets.use((request, next) => { cache.invalidate(); return next(request); }).fetchDocument('t1'))
+      .then((doc) => {
+        doc.version.should.equal(1);
+        server.requests[1].headers['If-None-Match'].should.be.a('string');
+      });
+  });
+
+  it('invalidates a document and its collection listing when the document is written', function() {
+    const tickets = suite.caching().app('core').collection('tickets');
+    return tickets.call()
+      .then(() => tickets.fetchDocument('t1'))
+      .then(() => tickets.fetchDocument('t2'))
+      .then(() => tickets.patchDocument('t1', {status: 'closed'}))
+      .then(() => tickets.call())
+      .then(() => tickets.fetchDocument('t1'))
+      .then(() => tickets.fetchDocument('t2'))
+      .then(() => {
+        methods().should.deep.equal(['GET', 'GET', 'GET', 'PATCH', 'GET', 'GET']);
+      });
+  });
+
+  it('invalidates on writes through robustCall and the bulk endpoint', function() {
+    const tickets = suite.caching().app('core').collection('tickets');
+    return tickets.fetchDocument('t1')
+      .then(() => tickets.document('t1').robustCall({requestMethod: 'PATCH', body: {status: 'closed'}}, () => null))
+      .then(() => tickets.fetchDocument('t1'))
+      .then(() => {
+        methods().should.deep.equal(['GET', 'PATCH', 'GET']);
+        return tickets.call();
+      })
+      .then(() => tickets.bulkPatch({t1: {status: 'open'}}, {endpoint: true}))
+      .then(() => tickets.call())
+      .then(() => tickets.fetchDocument('t1'))
+      .then(() => {
+        methods().should.deep.equal(['GET', 'PATCH', 'GET', 'GET', 'PATCH', 'GET', 'GET']);
+      });
+  });
+
+  it('invalidates manually', function() {
+    const core = suite.caching().app('core');
+    return core.collection('tickets').fetchDocument('t1')
+      .then(() => core.invalidate())
+      .then(() => core.collection('tickets').fetchDocument('t1'))
+      .then(() => {
+        server.requests.should.have.length(2);
+      });
+  });
+
+  it('evicts the least recently used entries', function() {
+    const cache = new ResponseCache({maxEntries: 2});
+    cache.store('a', 1);
+    cache.store('b', 2);
+    cache.lookup('a');
+    cache.store('c', 3);
+    cache.entries.keySeq().toJS().should.deep.equal(['a', 'c']);
+  });
+});
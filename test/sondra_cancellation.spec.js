@@ -0,0 +1,104 @@
+const chai = require('chai');
+const { Sondra } = require('../src/sondra.js');
+const { FakeSondraServer } = require('../src/fakeserver.js');
+const { CancelToken } = require('../src/cancellation.js');
+const { CancelledError } = require('../src/errors.js');
+
+chai.should();
+
+describe('Sondra cancellation and timeouts', function() {
+  // every request the client makes, pings included, as the options it was sent with.
+  let server, sent;
+  const recorded = (url, options) => {
+    sent.push(options);
+    return server.fetch(url, options);
+  };
+  const tickets = new Sondra().suite('http', 'localhost', 5000).setIn(['robust', 'refetchDelay'], 10)
+    .transport(recorded).app('core').collection('tickets');
+
+  beforeEach(function() {
+    sent = [];
+    server = new FakeSondraServer().collection('core', 'tickets', {documents: [{id: 't1'}]});
+  });
+
+  it('times out a call to an unresponsive server', function() {
+    server.fail('hang');
+    return tickets.call({timeout: 20}).then(() => {
+      chai.assert.fail('call to a hung server resolved');
+    }, (err) => {
+      err.should.be.an.instanceof(CancelledError);
+      err.reason.should.equal('timeout');
+      if(typeof AbortController !== 'undefined') {
+        sent[0].signal.aborted.should.be.true;
+      }
+    });
+  });
+
+  it('applies a timeout set on the context', function() {
+    server.fail('hang');
+    return tickets.set('timeout', 20).fetchDocument('t1').catch((err) => {
+      err.should.be.an.instanceof(CancelledError);
+    });
+  });
+
+  it('cancels a call with a token', function() {
+    server.fail('hang');
+    const token = new CancelToken();
+    setTimeout(() => token.cancel(), 10);
+    return tickets.call({signal: token}).then(() => {
+      chai.assert.fail('cancelled call resolved');
+    }, (err) => {
+      err.should.be.an.instanceof(CancelledError);
+      err.reason.should.equal('aborted');
+    });
+  });
+
+  it('stops the robustCall ping and retry loop when cancelled', function() {
+    server.goOffline();
+    const token = new CancelToken();
+    let attempts = 0;
+    return tickets.robustCall({signal: token}, () => {
+      attempts += 1;
+      if(attempts === 2) {
+        token.cancel();
+      }
+    }).then(() => {
+      chai.assert.fail('cancelled robustCall resolved');
+    }, (err) => {
+      err.should.be.an.instanceof(CancelledError);
+      err.deferredRequestId.should.be.a('number');
+      const pings = sent.length;
+      return new Promise((resolve) => setTimeout(resolve, 50)).then(() => {
+        sent.length.should.equal(pings);
+      });
+    });
+  });
+
+  it('limits the whole robustCall, retries included, with one timeout', function() {
+    server.goOffline();
+    return tickets.robustCall({timeout: 45}, () => null).then(() => {
+      chai.assert.fail('robustCall to an unreachable server resolved');
+    }, (err) => {
+      err.should.be.an.instanceof(CancelledError);
+      err.reason.should.equal('timeout');
+      sent.length.should.be.above(1);
+    });
+  });
+
+  it('stops listening to a long-lived signal once each request finishes', function() {
+    const signal = new CancelToken();
+    const calls = [tickets.call({signal}), tickets.call({signal, timeout: 1000}), tickets.robustCall({signal}, () => null)];
+    return Promise.all(calls).then(() => {
+      signal.listeners.should.be.empty;
+    });
+  });
+
+  it('does not send a request whose token is already cancelled', function() {
+    const token = new CancelToken();
+    token.cancel();
+    return tickets.call({signal: token}).catch((err) => {
+      err.should.be.an.instanceof(CancelledError);
+      sent.should.be.empty;
+    });
+  });
+});
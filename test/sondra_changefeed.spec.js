@@ -0,0 +1,97 @@
+const chai = require('chai');
+const { Sondra, QuerySet } = require('../src/sondra.js');
+
+chai.should();
+
+const sockets = [];
+
+class FakeWebSocket {
+  constructor(url) {
+    this.url = url;
+    this.sent = [];
+    sockets.push(this);
+  }
+
+  send(data) {
+    this.sent.push(JSON.parse(data));
+  }
+
+  close() {
+    this.onclose({code: 1000});
+  }
+
+  open() {
+    this.onopen();
+  }
+
+  receive(msg) {
+    this.onmessage({data: JSON.stringify(msg)});
+  }
+
+  drop() {
+    this.onclose({code: 1006});
+  }
+}
+
+describe('Sondra changefeeds', function() {
+  const pronto = new Sondra().suite('https', 'localhost', 5000)
+    .setIn(['changefeed', 'WebSocket'], FakeWebSocket)
+    .setIn(['changefeed', 'reconnectDelay'], 5);
+  const tickets = pronto.app('core').collection('tickets').auth('token');
+
+  beforeEach(function() {
+    sockets.length = 0;
+  });
+
+  it('subscribes to a collection with the context headers and query', function() {
+    const sub = tickets.subscribe(new QuerySet().eq('status', 'open'), {});
+    sockets.should.have.length(1);
+    sockets[0].url.should.equal('wss://localhost:5000/api/core/tickets;format=json');
+    sockets[0].open();
+    sockets[0].sent[0].type.should.equal('subscribe');
+    sockets[0].sent[0].headers.Authorization.should.equal('Bearer token');
+    JSON.parse(sockets[0].sent[0].query.flt).should.deep.equal([{op: '==', lhs: 'status', rhs: 'open', 'default': false}]);
+    sub.close();
+  });
+
+  it('delivers inserts, updates and deletes with old and new values', function() {
+    const events = [];
+    const record = (event) => events.push(event);
+    const sub = tickets.document('t1').subscribe({insert: record, update: record, delete: record});
+    sockets[0].url.should.equal('wss://localhost:5000/api/core/tickets/t1;format=json');
+    sockets[0].open();
+    sockets[0].receive({seq: 1, old_val: null, new_val: {id: 't1', status: 'open'}});
+    sockets[0].receive({seq: 2, old_val: {id: 't1', status: 'open'}, new_val: {id: 't1', status: 'closed'}});
+    sockets[0].receive({seq: 3, old_val: {id: 't1', status: 'closed'}, new_val: null});
+    events.map((e) => e.type).should.deep.equal(['insert', 'update', 'delete']);
+    events[1].oldValue.status.should.equal('open');
+    events[1].newValue.status.should.equal('closed');
+    sub.close();
+  });
+
+  it('reconnects and resumes from the last change after the socket drops', function(done) {
+    const sub = tickets.subscribe({
+      open: () => {
+        if(sockets.length === 2) {
+          sockets[1].sent[0].resume.should.equal(7);
+          sub.close();
+          done();
+        }
+      }
+    });
+    sockets[0].open();
+    sockets[0].receive({seq: 7, old_val: null, new_val: {id: 't2'}});
+    sockets[0].drop();
+    setTimeout(() => sockets[1].open(), 20);
+  });
+
+  it('does not reconnect after being closed', function(done) {
+    const sub = tickets.subscribe({});
+    sockets[0].open();
+    sub.close();
+    setTimeout(() => {
+      sockets.should.have.length(1);
+      done();
+    }, 20);
+  });
+});
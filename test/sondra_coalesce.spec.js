@@ -0,0 +1,107 @@
+const chai = require('chai');
+const Promise = require('bluebird');
+const { Sondra, QuerySet } = require('../src/sondra.js');
+const { FakeSondraServer } = require('../src/fakeserver.js');
+const { CancelToken } = require('../src/cancellation.js');
+const { CancelledError } = require('../src/errors.js');
+
+chai.should();
+
+describe('Sondra request coalescing', function() {
+  let server, state, tickets;
+
+  // Answers through the fake server after a delay, noting requests that are aborted on the way.
+  const slowTransport = (url, options) => new Promise((resolve, reject) => {
+    state.sent += 1;
+    if(options.signal) {
+      options.signal.addEventListener('abort', () => { state.aborted += 1; reject(new Error('aborted')); });
+    }
+    setTimeout(() => resolve(server.fetch(url, options)), 20);
+  });
+
+  beforeEach(function() {
+    state = {sent: 0, aborted: 0};
+    server = new FakeSondraServer().collection('core', 'tickets', {documents: [{id: 't1'}, {id: 't2'}]});
+    tickets = new Sondra().suite('http', 'localhost', 5000).transport(slowTransport).app('core').collection('tickets');
+  });
+
+  it('shares one request between identical GETs in flight', function() {
+    return Promise.all([tickets.call(), tickets.call(), tickets.fetchDocument('t1'), tickets.fetchDocument('t1')]).then(([a, b, c, d]) => {
+      state.sent.should.equal(2);
+      a.should.deep.equal(b);
+      c.should.deep.equal(d);
+      a.should.not.equal(b);  // each caller has its own copy
+      c.should.not.equal(d);
+      tickets.get('inFlight').size().should.equal(0);
+      return tickets.call();
+    }).then(() => {
+      state.sent.should.equal(3);
+    });
+  });
+
+  it('sends requests that differ in query, headers or method', function() {
+    return Promise.all([
+      tickets.call(),
+      tickets.query(new QuerySet().limit(1)).call(),
+      tickets.auth('token').call(),
+      tickets.fetchDocument('t2'),
+      tickets.createDocument('t3', {}),
+      tickets.createDocument('t4', {})
+    ]).then(() => {
+      state.sent.should.equal(6);
+    });
+  });
+
+  it('does not share requests sent through different middleware or transports', function() {
+    const authorized = (token) => (request, next) => next(Object.assign({}, request, {
+      options: Object.assign({}, request.options, {headers: Object.assign({}, request.options.headers, {Authorization: `Bearer ${token}`})})
+    }));
+    const alice = tickets.use(authorized('alice'));
+    const bob = tickets.use(authorized('bob'));
+    return Promise.all([
+      alice.call(),
+      alice.call(),
+      bob.call(),
+      tickets.transport((url, options) => slowTransport(url, options)).call()
+    ]).then(() => {
+      state.sent.should.equal(3);
+      server.requests.map((r) => r.headers.Authorization).sort().should.deep.equal(['Bearer alice', 'Bearer bob', undefined]);
+    });
+  });
+
+  it('lets a call opt out', function() {
+    return Promise.all([tickets.call(), tickets.call({coalesce: false}), tickets.set('coalesce', false).call()]).then(() => {
+      state.sent.should.equal(3);
+    });
+  });
+
+  it('keeps the shared request going when one caller cancels', function() {
+    const token = new CancelToken();
+    const cancelled = tickets.call({signal: token}).then(() => {
+      chai.assert.fail('cancelled call resolved');
+    }, (err) => {
+      err.should.be.an.instanceof(CancelledError);
+    });
+    const other = tickets.call();
+    token.cancel();
+    return Promise.all([cancelled, other]).then(([, docs]) => {
+      docs.should.have.length(2);
+      state.sent.should.equal(1);
+      state.aborted.should.equal(0);
+    });
+  });
+
+  it('aborts the shared request once every caller has cancelled', function() {
+    const first = tickets.call({timeout: 5}).catch((err) => err);
+    const second = tickets.call({timeout: 10}).catch((err) => err);
+    return Promise.all([first, second]).then((errors) => {
+      errors[0].should.be.an.instanceof(CancelledError);
+      errors[1].should.be.an.instanceof(CancelledError);
+      state.sent.should.equal(1);
+      state.aborted.should.equal(1);
+      return tickets.call();
+    }).then((docs) => {
+      docs.should.have.length(2);
+    });
+  });
+});
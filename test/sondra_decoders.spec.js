@@ -0,0 +1,79 @@
+const chai = require('chai');
+const Promise = require('bluebird');
+const { Sondra } = require('../src/sondra.js');
+const { DecoderRegistry, defaultDecoders, parseCsv, parseNdjson } = require('../src/decoders.js');
+
+chai.should();
+
+const response = (body, contentType) => ({
+  ok: true,
+  status: 200,
+  headers: {get: (name) => (name.toLowerCase() === 'content-type' ? contentType : null)},
+  text: () => Promise.resolve(body),
+  json: () => Promise.try(() => JSON.parse(body)),
+  arrayBuffer: () => Promise.resolve(new Uint8Array(Buffer.from(body)).buffer)
+});
+
+describe('Sondra response decoders', function() {
+  let answer;
+  const suite = new Sondra().suite('http', 'localhost', 5000).transport(() => Promise.resolve(answer));
+  const tickets = suite.app('core').collection('tickets');
+
+  it('parses CSV, including quoted fields', function() {
+    parseCsv('a,b\r\n1,"x, ""y"""\n\n2,"multi\nline"\n').should.deep.equal([['a', 'b'], ['1', 'x, "y"'], ['2', 'multi\nline']]);
+    parseCsv('a;b\n;', {delimiter: ';'}).should.deep.equal([['a', 'b'], ['', '']]);
+    parseNdjson('{"a":1}\n\n[2]\r\n').should.deep.equal([{a: 1}, [2]]);
+  });
+
+  it('decodes by the requested format', function() {
+    answer = response('id,status\nt1,open\nt2,closed\n', 'text/plain');
+    return tickets.format('csv').call().then((rows) => {
+      rows.should.deep.equal([{id: 't1', status: 'open'}, {id: 't2', status: 'closed'}]);
+      answer = response('{"id":"t1"}\n{"id":"t2"}\n', 'text/plain');
+      return tickets.format('ndjson').call();
+    }).then((docs) => {
+      docs.should.deep.equal([{id: 't1'}, {id: 't2'}]);
+      answer = response('{"type":"FeatureCollection","features":[]}', 'application/json');
+      return tickets.format('geojson').call();
+    }).then((collection) => {
+      collection.type.should.equal('FeatureCollection');
+    });
+  });
+
+  it('decodes by the Content-Type when the format is the default', function() {
+    answer = response('hello', 'text/markdown; charset=utf-8');
+    return tickets.method('readme').call().then((text) => {
+      text.should.equal('hello');
+      answer = response('PNG', 'image/png');
+      return tickets.method('chart').robustCall({}, () => {});
+    }).then(({data}) => {
+      const bytes = typeof Blob === 'function' && data instanceof Blob ? data.size : data.byteLength;
+      bytes.should.equal(3);
+      answer = response('{"ok":true}', null);
+      return tickets.call();
+    }).then((data) => {
+      data.should.deep.equal({ok: true});
+    });
+  });
+
+  it('lets apps register their own decoders', function() {
+    const upper = {formats: ['upper'], contentTypes: ['application/x-upper'], decode: (rsp) => rsp.text().then((t) => t.toUpperCase())};
+    const withUpper = suite.decoder('upper', upper);
+    answer = response('quiet', 'application/x-upper');
+
+    return withUpper.app('core').method('shout').call().then((text) => {
+      text.should.equal('QUIET');
+      (suite.decoders() === null).should.equal(true);
+      return suite.app('core').method('shout').call().catch((err) => err);
+    }).then((err) => {
+      err.should.be.an.instanceof(Error);  // not JSON, and this context has no decoder for it
+
+      defaultDecoders.register('upper', upper);
+      return suite.app('core').format('upper').call();
+    }).then((text) => {
+      text.should.equal('QUIET');
+      defaultDecoders.unregister('upper');
+      new DecoderRegistry().decoderFor('upper', 'application/x-upper').formats.should.deep.equal(['json']);
+    });
+  });
+});
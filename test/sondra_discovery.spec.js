@@ -0,0 +1,79 @@
+const chai = require('chai');
+const { Sondra } = require('../src/sondra.js');
+const { FakeSondraServer } = require('../src/fakeserver.js');
+
+chai.should();
+
+describe('Sondra API discovery', function() {
+  const pronto = new Sondra().suite('http', 'localhost', 5000);
+  const sent = () => server.requests.filter((r) => r.format === 'json').map(({url, requestMethod, body}) => ({url, requestMethod, body}));
+  let server;
+
+  beforeEach(function() {
+    server = new FakeSondraServer()
+      .collection('auth', 'users')
+      .method('auth.login', () => 'token')
+      .collection('core', 'tickets', {documents: [{id: 't1'}]})
+      .method('core/tickets.assign', () => 'ok')
+      .method('core/tickets/*.close', () => 'ok')
+      .install();
+  });
+
+  afterEach(function() {
+    server.uninstall();
+  });
+
+  it('lists apps, collections and methods', function() {
+    return pronto.discover().then((suite) => {
+      const api = suite.get('api');
+      api.apps.should.deep.equal(['auth', 'core']);
+      api.core.collections.should.deep.equal(['tickets']);
+      api.auth.methods.should.have.property('login');
+      api.core.tickets.methods.should.have.property('assign');
+      api.core.tickets.documentMethods.should.have.property('close');
+      api.core.tickets.schema.type.should.equal('object');
+      api.core.tickets.context().get('url').should.equal('http://localhost:5000/api/core/tickets;format=json');
+    });
+  });
+
+  it('calls collection and document methods through the api', function() {
+    return pronto.discover().then((suite) => {
+      const api = suite.get('api');
+      return api.core.tickets.methods.assign({user: 'jefferson'})
+        .then(() => api.core.tickets.documentMethods.close('t1', {reason: 'done'}));
+    }).then(() => {
+      sent().should.deep.equal([
+        {url: 'http://localhost:5000/api/core/tickets.assign;format=json', requestMethod: 'POST', body: {user: 'jefferson'}},
+        {url: 'http://localhost:5000/api/core/tickets/t1.close;format=json', requestMethod: 'POST', body: {reason: 'done'}}
+      ]);
+    });
+  });
+
+  it('rejects unknown names on the client', function() {
+    return pronto.discover().then((suite) => {
+      (() => suite.app('cor')).should.throw(/Unknown app 'cor'.*auth, core/);
+      (() => suite.app('auth').method('lgoin')).should.throw(/Unknown method 'lgoin' in app 'auth'.*login/);
+      (() => suite.app('core').collection('tikets')).should.throw(/Unknown collection 'tikets'/);
+      (() => suite.app('core').collection('tickets').document('t1').method('assign')).should.throw(/Unknown method 'assign' in documents/);
+      suite.app('core').collection('tickets').document('t1').method('close').get('url')
+        .should.equal('http://localhost:5000/api/core/tickets/t1.close;format=json');
+    });
+  });
+
+  it('rejects apps and collections named after fields of the api', function() {
+    server.collection('core', 'methods');
+    return pronto.discover().then(() => {
+      chai.assert.fail('discovered a collection that clashes with the api');
+    }, (err) => {
+      err.message.should.match(/app 'core'.*collections methods clash/);
+      server.app('schema');
+      return pronto.discover().then(() => chai.assert.fail('discovered an app that clashes with the api'), (e) => e);
+    }).then((err) => {
+      err.message.should.match(/the suite.*apps schema clash/);
+    });
+  });
+
+  it('does not check names before discovery', function() {
+    pronto.app('cor').method('lgoin').get('url').should.equal('http://localhost:5000/api/cor.lgoin;format=json');
+  });
+});
@@ -0,0 +1,108 @@
+const chai = require('chai');
+const { Sondra } = require('../src/sondra.js');
+const { FakeSondraServer } = require('../src/fakeserver.js');
+const { SondraError, NetworkError, ClientError, AuthError, NotFoundError, ServerError, errorForStatus } = require('../src/errors.js');
+
+chai.should();
+
+describe('Sondra errors', function() {
+  const suite = new Sondra().suite('http', 'localhost', 5000)
+    .setIn(['robust', 'refetchDelay'], 5)
+    .setIn(['robust', 'maxTries'], 2);
+  const tickets = suite.app('core').collection('tickets');
+  let server;
+
+  const rejection = (p) => p.then(() => chai.assert.fail('request resolved'), (err) => err);
+
+  beforeEach(function() {
+    server = new FakeSondraServer().collection('core', 'tickets', {documents: [{id: 't1'}]}).install();
+  });
+
+  afterEach(function() {
+    server.uninstall();
+  });
+
+  it('picks the class from the status', function() {
+    errorForStatus(401).should.be.an.instanceof(AuthError);
+    errorForStatus(403).should.be.an.instanceof(AuthError);
+    errorForStatus(404).should.be.an.instanceof(NotFoundError);
+    errorForStatus(502).should.be.an.instanceof(ServerError);
+    const conflict = errorForStatus(409, {url: 'http://x', method: 'POST', payload: {message: 'Already exists'}});
+    conflict.should.be.an.instanceof(SondraError);
+    conflict.should.be.an.instanceof(Error);
+    conflict.should.not.be.an.instanceof(ServerError);
+    conflict.message.should.equal('Already exists');
+    errorForStatus(500, {url: 'http://x', method: 'GET'}).message.should.equal('GET http://x failed with status 500');
+  });
+
+  it('rejects call with the status, url, method and payload', function() {
+    server.fail({status: 401, body: {error: 'Unauthorized', message: 'Token expired'}});
+    return rejection(tickets.patchDocument('t1', {status: 'closed'})).then((err) => {
+      err.should.be.an.instanceof(AuthError);
+      err.status.should.equal(401);
+      err.url.should.equal('http://localhost:5000/api/core/tickets/t1;format=json');
+      err.method.should.equal('PATCH');
+      err.payload.should.deep.equal({error: 'Unauthorized', message: 'Token expired'});
+      err.message.should.equal('Token expired');
+    });
+  });
+
+  it('rejects call with a NetworkError when the server cannot be reached', function() {
+    server.fail('network');
+    return rejection(tickets.call()).then((err) => {
+      err.should.be.an.instanceof(NetworkError);
+      err.status.should.equal(0);
+      err.cause.should.be.an.instanceof(TypeError);
+    });
+  });
+
+  it('rejects robustCall with the same classes, with the retries made', function() {
+    return rejection(tickets.document('nope').robustCall({}, () => null)).then((err) => {
+      err.should.be.an.instanceof(NotFoundError);
+      err.retries.should.equal(0);
+      err.deferredRequestId.should.be.a('number');
+      server.fail(503, {times: 3});
+      return rejection(tickets.robustCall({}, () => null));
+    }).then((err) => {
+      err.should.be.an.instanceof(ServerError);
+      err.retries.should.equal(2);
+      server.fail('network', {times: 3});
+      return rejection(tickets.robustCall({}, () => null));
+    }).then((err) => {
+      err.should.be.an.instanceof(NetworkError);
+      err.retries.should.equal(2);  // the same number of retries as for a retryable status
+    });
+  });
+
+  it('rejects with a ClientError, without retrying, when the client fails', function() {
+    const unreadable = tickets.use(() => Promise.resolve({ok: true, status: 200, headers: null, json: () => Promise.reject(new SyntaxError('Unexpected end of JSON input'))}));
+    return rejection(unreadable.createDocument('t2', {id: 't2'})).then((err) => {
+      err.should.be.an.instanceof(ClientError);
+      err.status.should.equal(200);
+      err.cause.should.be.an.instanceof(SyntaxError);
+      return rejection(unreadable.method('assign').robustCall({}, () => chai.assert.fail('retried')));
+    }).then((err) => {
+      err.should.be.an.instanceof(ClientError);
+      err.status.should.equal(200);
+      err.retries.should.equal(0);
+
+      const broken = tickets.use(() => { throw new Error('middleware bug'); });
+      return rejection(broken.method('assign').robustCall({}, () => chai.assert.fail('retried')));
+    }).then((err) => {
+      err.should.be.an.instanceof(ClientError);
+      err.should.not.be.an.instanceof(NetworkError);
+      err.status.should.equal(0);
+      err.message.should.match(/middleware bug/);
+      server.requests.should.have.length(0);
+    });
+  });
+
+  it('hands temporary errors to the callback as SondraErrors', function() {
+    server.fail(503);
+    const errors = [];
+    return tickets.robustCall({}, (id, url, error) => errors.push(error)).then(() => {
+      errors.should.have.length(1);
+      errors[0].should.be.an.instanceof(ServerError);
+    });
+  });
+});
@@ -0,0 +1,186 @@
+const chai = require('chai');
+const { Sondra, QuerySet } = require('../src/sondra.js');
+const { FakeSondraServer } = require('../src/fakeserver.js');
+const { evaluateQuery } = require('../src/evaluate.js');
+const { NotFoundError, ServerError } = require('../src/errors.js');
+
+chai.should();
+
+const docs = [
+  {id: 'a', status: 'open', priority: 1, tags: ['ui']},
+  {id: 'b', status: 'closed', priority: 3, tags: []},
+  {id: 'c', status: 'open', priority: 5},
+  {id: 'd', status: 'open', priority: 2, tags: ['api', 'ui']}
+];
+
+describe('Query evaluation', function() {
+  const run = (q) => evaluateQuery(q.value(false), docs);
+  const ids = (q) => run(q).map((d) => d.id);
+
+  it('filters, with missing fields taking the default', function() {
+    ids(new QuerySet().eq('status', 'open').gt('priority', 1)).should.deep.equal(['c', 'd']);
+    ids(new QuerySet().contains('tags', 'ui')).should.deep.equal(['a', 'd']);
+    ids(new QuerySet().contains('tags', 'ui', true)).should.deep.equal(['a', 'c', 'd']);
+    ids(new QuerySet().or((q) => q.eq('status', 'closed'), (q) => q.between('priority', 4, 6))).should.deep.equal(['b', 'c']);
+    ids(new QuerySet().not((q) => q.in('id', ['a', 'b'])).hasFields(['tags'])).should.deep.equal(['d']);
+  });
+
+  it('takes the default where the op does not apply to the value', function() {
+    ids(new QuerySet().contains('status', 'open')).should.deep.equal([]);
+    ids(new QuerySet().contains('status', 'open', true)).should.deep.equal(['a', 'b', 'c', 'd']);
+    ids(new QuerySet().match('priority', '^1$')).should.deep.equal([]);
+    ids(new QuerySet().match('priority', '^1$', true)).should.deep.equal(['a', 'b', 'c', 'd']);
+    ids(new QuerySet().match('status', '^cl')).should.deep.equal(['b']);
+  });
+
+  it('selects keys, slices and aggregates', function() {
+    ids(new QuerySet().forKeys(['d', 'a'])).should.deep.equal(['a', 'd']);
+    ids(new QuerySet().start(1).limit(2)).should.deep.equal(['b', 'c']);
+    ids(new QuerySet().start(1).end(2)).should.deep.equal(['b']);
+    run(new QuerySet().eq('status', 'open').count()).should.equal(3);
+    run(new QuerySet().sum('priority')).should.equal(11);
+    run(new QuerySet().max('priority')).id.should.equal('c');
+    run(new QuerySet().limit(2).pluck('id')).should.deep.equal([{id: 'a'}, {id: 'b'}]);
+    run(new QuerySet().distinct('status')).should.deep.equal(['closed', 'open']);
+    run(new QuerySet().distinct('priority')).should.deep.equal([1, 2, 3, 5]);
+  });
+});
+
+describe('FakeSondraServer', function() {
+  const suite = new Sondra().suite('http', 'localhost', 5000).setIn(['robust', 'refetchDelay'], 10);
+  const tickets = suite.app('core').collection('tickets');
+  let server;
+
+  beforeEach(function() {
+    server = new FakeSondraServer()
+      .collection('core', 'tickets', {documents: docs, schema: {properties: {status: {type: 'string'}}}})
+      .method('core/tickets.open', (body, {query}) => query, {request: {type: 'object'}})
+      .method('core/tickets/*.close', (body, {document}) => `closed ${document}`)
+      .install();
+  });
+
+  afterEach(function() {
+    server.uninstall();
+  });
+
+  it('installs itself as the global fetch, and is exported for tests only', function() {
+    const { globalObject } = require('../src/transport.js');
+    globalObject.fetch.should.equal(server.fetch);
+    require('../src/testing.js').FakeSondraServer.should.equal(FakeSondraServer);
+    chai.expect(require('../src/index.js').FakeSondraServer).to.be.undefined;
+  });
+
+  it('runs queries sent by call', function() {
+    return tickets.query(new QuerySet().eq('status', 'open').start(1).limit(5)).call().then((rsp) => {
+      rsp.map((d) => d.id).should.deep.equal(['c', 'd']);
+      return tickets.query(new QuerySet().count()).call();
+    }).then((n) => {
+      n.should.equal(4);
+    });
+  });
+
+  it('creates, reads, patches, replaces and deletes documents', function() {
+    return tickets.createDocument('e', {status: 'open'})
+      .then((doc) => {
+        doc.should.deep.equal({id: 'e', status: 'open'});
+        return tickets.patchDocument('e', {priority: 4});
+      })
+      .then(() => tickets.fetchDocument('e'))
+      .then((doc) => {
+        doc.should.deep.equal({id: 'e', status: 'open', priority: 4});
+        return tickets.replaceDocument('e', {status: 'closed'});
+      })
+      .then(() => tickets.deleteDocument('e'))
+      .then((doc) => {
+        doc.should.deep.equal({id: 'e', status: 'closed'});
+        server.documents('core', 'tickets').should.have.length(4);
+        return tickets.fetchDocument('e').catch((err) => err);
+      })
+      .then((err) => {
+        err.should.be.an.instanceof(NotFoundError);
+        err.payload.error.should.equal('NotFound');
+      });
+  });
+
+  it('calls collection and document methods', function() {
+    return tickets.document('a').method('close').call().then((rsp) => {
+      rsp.should.deep.equal({_: 'closed a'});
+      return tickets.method('open').call({body: {}});
+    });
+  });
+
+  it('serves schemas that discovery can walk', function() {
+    return suite.discover().then((pronto) => {
+      pronto.get('api').apps.should.deep.equal(['core']);
+      pronto.get('api').core.tickets.schema.properties.status.type.should.equal('string');
+      return pronto.get('api').core.tickets.documentMethods.close('b');
+    }).then((rsp) => {
+      rsp.should.deep.equal({_: 'closed b'});
+    });
+  });
+
+  it('tags GETs with an ETag and answers 304 while it still matches', function() {
+    const url = tickets.document('a').get('url');
+    return server.fetch(url).then((rsp) => {
+      const etag = rsp.headers.get('ETag');
+      etag.should.be.a('string');
+      return server.fetch(url, {headers: {'If-None-Match': etag}}).then((notModified) => {
+        notModified.status.should.equal(304);
+        server.collection('core', 'tickets', {documents: [{id: 'a', status: 'closed'}]});
+        return server.fetch(url, {headers: {'If-None-Match': etag}});
+      });
+    }).then((rsp) => {
+      rsp.status.should.equal(200);
+      return rsp.json();
+    }).then((doc) => {
+      doc.status.should.equal('closed');
+    });
+  });
+
+  it('answers bulk writes with one result per item', function() {
+    return tickets.bulkPatch({a: {status: 'closed'}, z: {status: 'closed'}}, {endpoint: true}).then(({succeeded, failed}) => {
+      succeeded.map((r) => r.key).should.deep.equal(['a']);
+      failed.map((r) => r.key).should.deep.equal(['z']);
+      server.requests.should.have.length(1);
+    });
+  });
+
+  it('fails scripted requests with a status', function() {
+    server.fail(503, {match: '/core/tickets'});
+    return tickets.call().then(() => {
+      chai.assert.fail('scripted failure resolved');
+    }, (err) => {
+      err.should.be.an.instanceof(ServerError);
+      err.status.should.equal(503);
+      return tickets.call();
+    }).then((rsp) => {
+      rsp.should.have.length(4);
+    });
+  });
+
+  it('drops scripted requests, which robustCall retries', function() {
+    server.fail('network', {times: 2});
+    const errors = [];
+    return tickets.robustCall({}, (id, url, error) => errors.push(error)).then(({data}) => {
+      data.should.have.length(4);
+      errors.should.have.length(2);
+    });
+  });
+
+  it('hangs scripted requests until they time out', function() {
+    server.fail('hang');
+    return tickets.call({timeout: 20}).then(() => {
+      chai.assert.fail('hung request resolved');
+    }, (err) => {
+      err.reason.should.equal('timeout');
+    });
+  });
+
+  it('drops every request while offline', function() {
+    server.goOffline();
+    setTimeout(() => server.goOnline(), 30);
+    return tickets.robustCall({}, () => null).then(({data}) => {
+      data.should.have.length(4);
+    });
+  });
+});
@@ -0,0 +1,72 @@
+const chai = require('chai');
+const geom = require('../src/geom.js');
+const { ValidationError } = require('../src/errors.js');
+const { QuerySet } = require('../src/sondra.js');
+
+chai.should();
+
+const raleigh = geom.point(-78.6382, 35.7796);
+const durham = geom.point(-78.8986, 35.9940);
+
+describe('geometry', () => {
+  it('builds GeoJSON geometries', () => {
+    geom.point(1, 2).should.deep.equal({type: 'Point', coordinates: [1, 2]});
+    geom.line([[0, 0], geom.point(1, 1)]).should.deep.equal({type: 'LineString', coordinates: [[0, 0], [1, 1]]});
+    geom.polygon([[0, 0], [1, 0], [1, 1]]).coordinates[0].should.deep.equal([[0, 0], [1, 0], [1, 1], [0, 0]]);
+    geom.bbox([0, 0, 2, 1]).coordinates[0].should.deep.equal([[0, 0], [2, 0], [2, 1], [0, 1], [0, 0]]);
+  });
+
+  it('approximates circles', () => {
+    const c = geom.circle(raleigh, 10, {unit: 'km', steps: 16});
+    c.type.should.equal('Polygon');
+    c.coordinates[0].length.should.equal(17);
+    c.coordinates[0].forEach((p) => geom.distanceBetween(raleigh, p, 'km').should.be.closeTo(10, 1e-6));
+    geom.geometryErrors(c).should.deep.equal([]);
+  });
+
+  it('converts units and measures distances', () => {
+    geom.convertDistance(1, 'mi', 'ft').should.be.closeTo(5280, 1e-6);
+    geom.convertDistance(1852, 'm', 'nm').should.equal(1);
+    geom.distanceBetween(raleigh, durham, 'km').should.be.closeTo(33.6, 0.5);
+    geom.distanceBetween(raleigh, durham, 'mi').should.be.closeTo(geom.distanceBetween(raleigh, durham, 'km') / 1.609344, 1e-9);
+    (() => geom.convertDistance(1, 'furlong')).should.throw(ValidationError);
+  });
+
+  it('computes bearings', () => {
+    geom.bearing([0, 0], [0, 1]).should.be.closeTo(0, 1e-9);
+    geom.bearing([0, 0], [1, 0]).should.be.closeTo(90, 1e-9);
+    geom.bearing([0, 0], [-1, 0]).should.be.closeTo(270, 1e-9);
+  });
+
+  it('reports invalid geometry', () => {
+    geom.geometryErrors({type: 'Point', coordinates: [200, 0]}).should.deep.equal([
+      {path: '/coordinates', message: 'is not a [longitude, latitude] position'}]);
+    geom.geometryErrors({type: 'Polygon', coordinates: [[[0, 0], [1, 0], [1, 1], [0, 1]]]}).should.deep.equal([
+      {path: '/coordinates/0', message: 'is not closed'}]);
+    geom.geometryErrors({type: 'Circle'})[0].path.should.equal('/type');
+    geom.geometryErrors('POINT(0 0)').length.should.equal(1);
+    geom.validateGeometry({type: 'Feature', geometry: raleigh}).should.deep.equal(raleigh);
+    (() => geom.validateGeometry(geom.line([[0, 0], [1, 1]]), 'Point')).should.throw(ValidationError, /must be Point/);
+  });
+
+  it('finds the bounding box of results and sorts them by distance', () => {
+    const docs = [
+      {name: 'far', location: geom.point(-80.8431, 35.2271)},
+      {name: 'none'},
+      {name: 'near', location: durham},
+      {name: 'route', location: geom.line([[-79, 35.5], [-78, 36]])}
+    ];
+    geom.bboxOf(docs, 'location').should.deep.equal([-80.8431, 35.2271, -78, 36]);
+    (geom.bboxOf([], 'location') === null).should.equal(true);
+    geom.sortByDistance(docs, raleigh, 'location').map((d) => d.name).should.deep.equal(['near', 'route', 'far', 'none']);
+  });
+
+  it('validates the arguments of the geospatial query methods', () => {
+    const qs = new QuerySet();
+    qs.getNearest(raleigh, 'location', 10, 5, 'mi').value(false).geo.args[0].should.deep.equal(raleigh);
+    qs.getIntersecting({type: 'Feature', geometry: geom.bbox([0, 0, 1, 1])}).value(false).geo.args[0].type.should.equal('Polygon');
+    (() => qs.getIntersecting([0, 0])).should.throw(ValidationError);
+    (() => qs.getNearest(geom.bbox([0, 0, 1, 1]))).should.throw(ValidationError);
+    (() => qs.getNearest(raleigh, null, 10, 5, 'miles')).should.throw(ValidationError);
+  });
+});
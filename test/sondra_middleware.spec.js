@@ -0,0 +1,70 @@
+const chai = require('chai');
+const { Sondra } = require('../src/sondra.js');
+const { jsonResponse } = require('../src/middleware.js');
+const { FakeSondraServer } = require('../src/fakeserver.js');
+
+chai.should();
+
+describe('Sondra middleware', function() {
+  const suite = new Sondra().suite('http', 'localhost', 5000);
+  let server;
+
+  beforeEach(function() {
+    server = new FakeSondraServer().collection('core', 'tickets', {documents: [{id: 't1'}]}).install();
+  });
+
+  afterEach(function() {
+    server.uninstall();
+  });
+
+  const tracing = (request, next) => next({
+    url: request.url,
+    context: request.context,
+    options: Object.assign({}, request.options, {headers: Object.assign({}, request.options.headers, {'X-Trace-Id': 'abc'})})
+  });
+
+  it('lets middleware change the outgoing request for call and robustCall', function() {
+    const tickets = suite.use(tracing).app('core').collection('tickets');
+    return tickets.call()
+      .then(() => tickets.robustCall())
+      .then(() => tickets.patchDocument('t1', {status: 'closed'}))
+      .then(() => {
+        server.requests.should.have.length(3);
+        server.requests.forEach((r) => r.headers['X-Trace-Id'].should.equal('abc'));
+      });
+  });
+
+  it('runs middleware in the order it was added', function() {
+    const order = [];
+    const record = (name) => (request, next) => {
+      order.push(`${name} before`);
+      return next().then((rsp) => { order.push(`${name} after`); return rsp; });
+    };
+    return suite.use(record('outer')).use(record('inner')).app('core').call().then(() => {
+      order.should.deep.equal(['outer before', 'inner before', 'inner after', 'outer after']);
+    });
+  });
+
+  it('lets middleware answer a request without the server', function() {
+    const offline = (request, next) => jsonResponse({_: 'from middleware'});
+    return suite.use(offline).app('core').call().then((rsp) => {
+      rsp._.should.equal('from middleware');
+      server.requests.should.be.empty;
+    });
+  });
+
+  it('lets middleware post-process errors', function() {
+    const notFound = () => jsonResponse({reason: 'missing'}, 404);
+    const rewrite = (request, next) => next().then((rsp) => (rsp.status === 404 ? jsonResponse(null) : rsp));
+    return suite.use(rewrite).use(notFound).app('core').collection('tickets').fetchDocument('t1').then((doc) => {
+      (doc === null).should.be.true;
+    });
+  });
+
+  it('does not affect contexts the middleware was not added to', function() {
+    suite.use(tracing);
+    return suite.app('core').call().then(() => {
+      chai.expect(server.requests[0].headers['X-Trace-Id']).to.be.undefined;
+    });
+  });
+});
@@ -0,0 +1,152 @@
+const chai = require('chai');
+const { Sondra } = require('../src/sondra.js');
+const { FakeSondraServer } = require('../src/fakeserver.js');
+const { OfflineQueue, MemoryQueueStorage, LocalStorageQueueStorage } = require('../src/offline.js');
+const { CancelledError } = require('../src/errors.js');
+
+chai.should();
+
+function quietly() {}
+
+describe('Sondra offline queue', function() {
+  const pronto = new Sondra().suite('http', 'localhost', 5000).setIn(['robust', 'refetchDelay'], 10);
+  const tickets = pronto.app('core').collection('tickets');
+  const sent = () => server.requests.map((r) => r.body);
+  let server;
+
+  beforeEach(function() {
+    server = new FakeSondraServer()
+      .collection('core', 'tickets')
+      .method('core/tickets.assign', () => 'ok')
+      .install();
+  });
+
+  afterEach(function() {
+    server.uninstall();
+  });
+
+  it('lists queued requests by priority and then by age', function() {
+    const queue = new OfflineQueue(new MemoryQueueStorage());
+    return queue.enqueue(101, tickets.document('a'))
+      .then(() => queue.enqueue(102, tickets.document('b')))
+      .then(() => queue.enqueue(103, tickets.document('c')))
+      .then(() => queue.prioritize(103, 5))
+      .then(() => queue.list())
+      .then((entries) => {
+        entries.map((e) => e.deferredRequestId).should.deep.equal([103, 101, 102]);
+        entries[0].url.should.equal('http://localhost:5000/api/core/tickets/c;format=json');
+      });
+  });
+
+  it('restores the full context of a queued request', function() {
+    const queue = new OfflineQueue(new MemoryQueueStorage());
+    const patch = tickets.auth('token').document('a').merge({requestMethod: 'PATCH', body: {status: 'closed'}});
+    return queue.enqueue(201, patch)
+      .then(() => queue.context(201, tickets.auth('fresh')))
+      .then((ctx) => {
+        ctx.get('url').should.equal(patch.get('url'));
+        ctx.get('requestMethod').should.equal('PATCH');
+        ctx.getIn(['headers', 'Authorization']).should.equal('Bearer fresh');
+        ctx.get('body').toJS().should.deep.equal({status: 'closed'});
+      });
+  });
+
+  it('never persists auth headers', function() {
+    const queue = new OfflineQueue(new MemoryQueueStorage());
+    return queue.enqueue(202, tickets.auth('token').document('a'))
+      .then(() => queue.get(202))
+      .then((entry) => {
+        JSON.stringify(entry).should.not.contain('Bearer token');
+        return queue.context(202);
+      })
+      .then((ctx) => {
+        ctx.hasIn(['headers', 'Authorization']).should.be.false;
+      });
+  });
+
+  it('cancels a queued request', function() {
+    const queue = new OfflineQueue(new MemoryQueueStorage());
+    return queue.enqueue(301, tickets)
+      .then(() => queue.cancel(301))
+      .then(() => queue.get(301))
+      .then((entry) => {
+        (entry === null).should.be.true;
+        queue.isCancelled(301).should.be.true;
+      });
+  });
+
+  it('persists a request deferred by robustCall and forgets it once it succeeds', function() {
+    const storage = new MemoryQueueStorage();
+    const queue = new OfflineQueue(storage);
+    let persisted = null;
+    server.goOffline();
+    return tickets.method('assign').offline(queue).robustCall({body: {who: 'jefferson'}}, (deferredRequestId) => {
+      persisted = storage.entries[deferredRequestId];
+      server.goOnline();
+    }).then(({deferredRequestId, data}) => {
+      data._.should.equal('ok');
+      persisted.deferredRequestId.should.equal(deferredRequestId);
+      persisted.context.body.should.deep.equal({who: 'jefferson'});
+      sent().should.deep.equal([{who: 'jefferson'}]);
+      return queue.get(deferredRequestId);
+    }).then((entry) => {
+      (entry === null).should.be.true;
+    });
+  });
+
+  it('stops retrying a request that is cancelled', function() {
+    const queue = new OfflineQueue(new MemoryQueueStorage());
+    server.goOffline();
+    let deferred = null;
+    return tickets.method('assign').offline(queue).robustCall({}, (deferredRequestId) => {
+      if(!deferred) {
+        deferred = deferredRequestId;
+        setTimeout(() => queue.cancel(deferredRequestId), 0);
+      }
+    }).then(() => {
+      chai.assert.fail('cancelled request succeeded');
+    }, (err) => {
+      err.deferredRequestId.should.equal(deferred);
+      err.should.be.an.instanceof(CancelledError);
+      err.reason.should.equal('dequeued');
+      sent().should.be.empty;
+    });
+  });
+
+  it('replays queued requests in order once online', function() {
+    const storage = new MemoryQueueStorage();
+    const queue = new OfflineQueue(storage);
+    const assign = tickets.method('assign');
+    return queue.enqueue(401, assign.merge({body: {n: 1}}))
+      .then(() => queue.enqueue(402, assign.merge({body: {n: 2}})))
+      .then(() => queue.enqueue(403, assign.merge({body: {n: 3}})))
+      .then(() => queue.prioritize(403, 1))
+      .then(() => {
+        // simulate a reload: a new queue over the same storage knows nothing about what was in flight.
+        const reloaded = new OfflineQueue(storage);
+        return reloaded.replay(pronto, quietly).then((results) => {
+          results.map((r) => r.deferredRequestId).should.deep.equal([403, 401, 402]);
+          sent().should.deep.equal([{n: 3}, {n: 1}, {n: 2}]);
+          return reloaded.list();
+        });
+      })
+      .then((entries) => {
+        entries.should.be.empty;
+      });
+  });
+
+  it('keeps entries in localStorage across queue instances', function() {
+    const backing = {};
+    const storage = {
+      getItem: (k) => (k in backing ? backing[k] : null),
+      setItem: (k, v) => { backing[k] = v; }
+    };
+    const queue = new OfflineQueue(new LocalStorageQueueStorage('test.deferred', storage));
+    return queue.enqueue(501, tickets)
+      .then(() => new OfflineQueue(new LocalStorageQueueStorage('test.deferred', storage)).list())
+      .then((entries) => {
+        entries.should.have.length(1);
+        entries[0].deferredRequestId.should.equal(501);
+      });
+  });
+});
@@ -0,0 +1,124 @@
+const chai = require('chai');
+const Promise = require('bluebird');
+const { Sondra } = require('../src/sondra.js');
+const { FakeSondraServer } = require('../src/fakeserver.js');
+const { NotFoundError, SondraError } = require('../src/errors.js');
+
+chai.should();
+
+describe('Sondra optimistic writes', function() {
+  let server, tickets, store, rollbacks;
+
+  const quiet = () => {};
+  const rejection = (p) => p.then(() => chai.assert.fail('request resolved'), (err) => err);
+  const status = (key) => store.get(tickets, key) && store.get(tickets, key).get('status');
+
+  beforeEach(function() {
+    server = new FakeSondraServer().collection('core', 'tickets', {documents: [
+      {id: 't1', status: 'open'},
+      {id: 't2', status: 'open'}
+    ]});
+    tickets = new Sondra().suite('http', 'localhost', 5000)
+      .transport(server.fetch)
+      .connectivity(() => Promise.resolve())
+      .setIn(['robust', 'refetchDelay'], 5)
+      .optimistic()
+      .app('core').collection('tickets');
+    store = tickets.get('store');
+    rollbacks = [];
+    store.onRollback((event) => rollbacks.push(event));
+    return tickets.call();
+  });
+
+  it('applies writes at once and reconciles them with the server', function() {
+    const patched = tickets.patchDocument('t1', {status: 'closed', assignee: 'jefferson'});
+    status('t1').should.equal('closed');
+    store.isPending(tickets, 't1').should.equal(true);
+
+    const created = tickets.createDocument('t3', {status: 'new'});
+    const deleted = tickets.deleteDocument('t2');
+    status('t3').should.equal('new');
+    (store.get(tickets, 't2') === undefined).should.equal(true);
+    store.pendingWrites().map((w) => w.requestMethod).should.deep.equal(['PATCH', 'POST', 'DELETE']);
+
+    return Promise.all([patched, created, deleted]).then(() => {
+      store.pendingWrites().should.have.length(0);
+      store.get(tickets, 't1').toJS().should.deep.equal({id: 't1', status: 'closed', assignee: 'jefferson'});
+      store.documents(tickets).keySeq().toArray().should.deep.equal(['t1', 't3']);
+      rollbacks.should.have.length(0);
+    });
+  });
+
+  it('rolls back writes the server rejects and notifies listeners', function() {
+    server.fail({status: 422, body: {message: 'Status is not allowed'}});
+    return rejection(tickets.patchDocument('t1', {status: 'bogus'})).then((err) => {
+      err.should.be.an.instanceof(SondraError);
+      status('t1').should.equal('open');
+      store.isPending(tickets, 't1').should.equal(false);
+      rollbacks.should.have.length(1);
+      rollbacks[0].key.should.equal('t1');
+      rollbacks[0].error.should.equal(err);
+      rollbacks[0].restored.get('status').should.equal('open');
+      return rejection(tickets.deleteDocument('t9'));
+    }).then((err) => {
+      err.should.be.an.instanceof(NotFoundError);
+      (store.get(tickets, 't9') === undefined).should.equal(true);
+      rollbacks.should.have.length(2);
+    });
+  });
+
+  it('keeps later pending writes when an earlier one is rolled back', function() {
+    server.fail(409);
+    const first = rejection(tickets.replaceDocument('t1', {status: 'replaced', owner: 'a'}));
+    const second = tickets.patchDocument('t1', {owner: 'b'});
+    store.get(tickets, 't1').toJS().should.deep.equal({id: 't1', status: 'replaced', owner: 'b'});
+    return first.then(() => {
+      store.get(tickets, 't1').toJS().should.deep.equal({id: 't1', status: 'open', owner: 'b'});
+      return second;
+    }).then(() => {
+      store.get(tickets, 't1').toJS().should.deep.equal({id: 't1', status: 'open', owner: 'b'});
+    });
+  });
+
+  it('keeps writes deferred by robustCall pending until the server answers', function() {
+    server.fail('network', {times: 2});
+    const write = tickets.document('t1').robustCall({requestMethod: 'PATCH', body: {status: 'closed'}}, quiet);
+    status('t1').should.equal('closed');
+    return write.then(({deferredRequestId}) => {
+      deferredRequestId.should.be.a('number');
+      store.isPending(tickets, 't1').should.equal(false);
+      status('t1').should.equal('closed');
+      server.documents('core', 'tickets')[0].status.should.equal('closed');
+    });
+  });
+
+  it('rolls back a write whose network failure is ignored', function() {
+    server.fail('network');
+    return tickets.document('t1').robustCall({requestMethod: 'PATCH', body: {status: 'closed'}}, quiet, 'ignore').then((rsp) => {
+      (rsp === null).should.equal(true);
+      status('t1').should.equal('open');
+      store.isPending(tickets, 't1').should.equal(false);
+      rollbacks.should.have.length(1);
+    });
+  });
+
+  it('rolls back a deferred write when the server finally rejects it', function() {
+    server.fail(503).fail(403);
+    return rejection(tickets.document('t2').robustCall({requestMethod: 'DELETE'}, quiet)).then((err) => {
+      err.status.should.equal(403);
+      err.retries.should.equal(1);
+      status('t2').should.equal('open');
+      rollbacks.should.have.length(1);
+      rollbacks[0].id.should.equal(err.deferredRequestId);
+    });
+  });
+
+  it('rebases pending writes on changes that arrive meanwhile', function() {
+    const patch = tickets.document('t1').requestMethod('PATCH').set('body', tickets.get('body').set('status', 'closed'));
+    const id = store.applyOptimistic(patch);
+    store.applyChange(tickets, {type: 'update', oldValue: {id: 't1', status: 'open'}, newValue: {id: 't1', status: 'open', priority: 3}});
+    store.get(tickets, 't1').toJS().should.deep.equal({id: 't1', status: 'closed', priority: 3});
+    store.rollback(id, new Error('rejected'));
+    store.get(tickets, 't1').toJS().should.deep.equal({id: 't1', status: 'open', priority: 3});
+  });
+});
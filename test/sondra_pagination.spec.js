@@ -0,0 +1,71 @@
+const chai = require('chai');
+const { Sondra, QuerySet } = require('../src/sondra.js');
+const { FakeSondraServer } = require('../src/fakeserver.js');
+
+chai.should();
+
+const documents = Array.from({length: 23}, (v, i) => ({id: i}));
+
+function drain(iterator, values = []) {
+  return iterator.next().then(({done, value}) => (done ? values : drain(iterator, values.concat([value]))));
+}
+
+describe('Sondra pagination', function() {
+  const tickets = new Sondra().suite('http', 'localhost', 5000).app('core').collection('tickets');
+  const pagesAsked = () => server.requests.map(({query}) => [query.start, query.limit]);
+  let server;
+
+  beforeEach(function() {
+    server = new FakeSondraServer().collection('core', 'tickets', {documents}).install();
+  });
+
+  afterEach(function() {
+    server.uninstall();
+  });
+
+  it('fetches pages until a short page', function() {
+    return drain(tickets.pages(new QuerySet(), {pageSize: 10})).then((pages) => {
+      pages.map((p) => p.length).should.deep.equal([10, 10, 3]);
+      pagesAsked().should.deep.equal([[0, 10], [10, 10], [20, 10]]);
+    });
+  });
+
+  it('stops after an empty page when the last page is full', function() {
+    return drain(tickets.pages(new QuerySet().start(3), {pageSize: 10})).then((pages) => {
+      pages.map((p) => p.length).should.deep.equal([10, 10]);
+      pagesAsked().should.deep.equal([[3, 10], [13, 10], [23, 10]]);
+    });
+  });
+
+  it('stops at the limit or end of the query, asking only for what is left', function() {
+    return drain(tickets.pages(new QuerySet().limit(12), {pageSize: 5})).then((pages) => {
+      pages.map((p) => p.length).should.deep.equal([5, 5, 2]);
+      pagesAsked().should.deep.equal([[0, 5], [5, 5], [10, 2]]);
+      server.requests = [];
+      return drain(tickets.iterate(new QuerySet().start(4).end(11), {pageSize: 5}));
+    }).then((docs) => {
+      docs.map((d) => d.id).should.deep.equal([4, 5, 6, 7, 8, 9, 10]);
+      pagesAsked().should.deep.equal([[4, 5], [9, 2]]);
+    });
+  });
+
+  it('iterates over documents and resumes from a cursor', function() {
+    const first = tickets.iterate(null, {pageSize: 5});
+    return first.next()
+      .then(() => first.next())
+      .then(({value}) => {
+        value.id.should.equal(1);
+        first.cursor().should.equal(2);
+        return drain(tickets.iterate(null, {pageSize: 5, cursor: first.cursor()}));
+      })
+      .then((docs) => {
+        docs.map((d) => d.id).should.deep.equal(documents.slice(2).map((d) => d.id));
+      });
+  });
+
+  it('pages with robustCall', function() {
+    return drain(tickets.pages(null, {pageSize: 20, robust: true})).then((pages) => {
+      pages.map((p) => p.length).should.deep.equal([20, 3]);
+    });
+  });
+});
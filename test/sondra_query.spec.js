@@ -1,9 +1,14 @@
 const chai = require('chai');
 const { Sondra, QuerySet } = require('../src/sondra.js');
+const { prontoServer } = require('./pronto.js');
 
 chai.should();
 
 describe('Sondra queries', () => {
+  const server = prontoServer();
+  before(() => { server.install(); });
+  after(() => { server.uninstall(); });
+
   const pronto = new Sondra().suite('http', 'localhost', 5000);
   const auth = pronto.app('auth');
   const login = auth.method('login');
@@ -42,3 +47,74 @@ describe('Sondra queries', () => {
       })
   });
 });
+
+describe('QuerySet boolean filters', () => {
+  const flt = (q) => JSON.parse(q.value().flt);
+
+  it('serializes ne, in and between', () => {
+    flt(new QuerySet().ne('status', 'closed').in('priority', [1, 2]).between('age', 18, 65)).should.deep.equal([
+      {op: '!=', lhs: 'status', rhs: 'closed', 'default': false},
+      {op: 'in', lhs: 'priority', rhs: [1, 2], 'default': false},
+      {op: 'between', lhs: 'age', rhs: [18, 65], 'default': false}
+    ]);
+  });
+
+  it('serializes or groups built from functions and QuerySets', () => {
+    const mine = new QuerySet().eq('assignee', 'me').gt('priority', 2);
+    flt(new QuerySet().or((q) => q.eq('status', 'open'), mine)).should.deep.equal([
+      {op: 'or', args: [
+        [{op: '==', lhs: 'status', rhs: 'open', 'default': false}],
+        [{op: '==', lhs: 'assignee', rhs: 'me', 'default': false}, {op: '>', lhs: 'priority', rhs: 2, 'default': false}]
+      ]}
+    ]);
+  });
+
+  it('nests and, or and not groups alongside plain filters', () => {
+    const q = new QuerySet()
+      .eq('kind', 'bug')
+      .not((q) => q.or((q) => q.eq('status', 'closed'), (q) => q.hasFields(['deleted'])))
+      .and({op: '<', lhs: 'age', rhs: 3, 'default': false});
+    flt(q).should.deep.equal([
+      {op: '==', lhs: 'kind', rhs: 'bug', 'default': false},
+      {op: 'not', args: [[
+        {op: 'or', args: [
+          [{op: '==', lhs: 'status', rhs: 'closed', 'default': false}],
+          [{op: 'has_fields', fields: ['deleted']}]
+        ]}
+      ]]},
+      {op: 'and', args: [[{op: '<', lhs: 'age', rhs: 3, 'default': false}]]}
+    ]);
+  });
+
+  it('round-trips through JSON', () => {
+    const q = new QuerySet().or((q) => q.ne('a', 1), (q) => q.between('b', 1, 2)).limit(10);
+    new QuerySet(JSON.stringify(q)).value().should.deep.equal(q.value());
+    new QuerySet({flt: flt(q)}).value().flt.should.equal(q.value().flt);
+  });
+});
+
+describe('QuerySet evaluation', () => {
+  const { List, fromJS } = require('immutable');
+  const docs = [
+    {id: 1, name: 'pump', price: 30, tags: ['water']},
+    {id: 2, name: 'valve', price: '12'},
+    {id: 3, name: 'hose', tags: ['water', 'garden']},
+    {id: 4, name: 'nozzle', price: 4, tags: ['garden']}
+  ];
+
+  it('filters, slices and selects keys the way the server does', () => {
+    new QuerySet().lt('price', 20).evaluate(docs).map((d) => d.id).should.deep.equal([4]);
+    new QuerySet().gt('price', 20).evaluate(docs).map((d) => d.id).should.deep.equal([1, 2]);  // strings sort after numbers
+    new QuerySet().match('name', '^(p|v)').start(1).evaluate(docs).map((d) => d.id).should.deep.equal([2]);
+    new QuerySet().forKeys([3, 4]).contains('tags', 'garden').evaluate(fromJS(docs)).map((d) => d.id).should.deep.equal([3, 4]);
+    new QuerySet().forKeys(['pump'], 'name').evaluate(List(docs)).map((d) => d.id).should.deep.equal([1]);
+  });
+
+  it('aggregates over the documents that have the field', () => {
+    new QuerySet().lt('price', 100).avg('price').evaluate(docs).should.equal(17);
+    new QuerySet().min('price').evaluate(docs).id.should.equal(4);
+    new QuerySet().max('price').evaluate(docs).id.should.equal(2);
+    (new QuerySet().eq('name', 'none').min('price').evaluate(docs) === null).should.equal(true);
+    new QuerySet().hasFields('tags').count().evaluate(docs).should.equal(3);
+  });
+});
@@ -0,0 +1,148 @@
+const chai = require('chai');
+const sinon = require('sinon');
+const { Map, Set } = require('immutable');
+const { Sondra } = require('../src/sondra.js');
+const { FakeSondraServer } = require('../src/fakeserver.js');
+const { OfflineQueue, MemoryQueueStorage } = require('../src/offline.js');
+const { RetryBudget, retryDelay, retryAfterDelay } = require('../src/retry.js');
+
+chai.should();
+
+describe('Sondra retry policy', function() {
+  const policy = Map({refetchDelay: 100, backoff: 2, maxDelay: 1000, jitter: 0});
+
+  it('backs off exponentially up to the maximum delay', function() {
+    [0, 1, 2, 3, 4].map((attempt) => retryDelay(policy, attempt)).should.deep.equal([100, 200, 400, 800, 1000]);
+  });
+
+  it('shortens delays by at most the jitter fraction', function() {
+    const jittered = policy.set('jitter', 0.5);
+    for(let i = 0; i < 20; i++) {
+      const delay = retryDelay(jittered, 2);
+      delay.should.be.within(200, 400);
+    }
+  });
+
+  it('waits at least as long as Retry-After asks, and not at all if that is past the maximum delay', function() {
+    retryAfterDelay('3').should.equal(3000);
+    retryAfterDelay(new Date(Date.now() + 5000).toUTCString()).should.be.within(3000, 5000);
+    chai.expect(retryAfterDelay('soon')).to.equal(null);
+    retryDelay(policy.set('maxDelay', 5000), 0, '2').should.equal(2000);
+    retryDelay(policy, 4, '0').should.equal(1000);
+    retryDelay(policy, 0, '1').should.equal(1000);
+    chai.expect(retryDelay(policy, 0, '86400')).to.equal(null);
+    chai.expect(retryDelay(policy, 0, new Date(Date.now() + 864e5).toUTCString())).to.equal(null);
+  });
+
+  it('limits retries with a budget that refills over time', function() {
+    const clock = sinon.useFakeTimers(Date.now());
+    try {
+      const budget = new RetryBudget({capacity: 2, refillPerSecond: 1});
+      budget.withdraw().should.equal(true);
+      budget.withdraw().should.equal(true);
+      budget.withdraw().should.equal(false);
+      clock.tick(1000);
+      budget.withdraw().should.equal(true);
+      budget.withdraw().should.equal(false);
+    } finally {
+      clock.restore();
+    }
+  });
+});
+
+describe('Sondra robustCall retries', function() {
+  const suite = new Sondra().suite('http', 'localhost', 5000)
+    .setIn(['robust', 'refetchDelay'], 10)
+    .setIn(['robust', 'jitter'], 0);
+  let server;
+
+  beforeEach(function() {
+    server = new FakeSondraServer()
+      .method('core.ping', () => 'ok')
+      .method('other.ping', () => 'ok')
+      .install();
+  });
+
+  afterEach(function() {
+    server.uninstall();
+  });
+
+  it('retries retryable statuses until the server answers', function() {
+    server.fail(503).fail(429);
+    const errors = [];
+    return suite.app('core').method('ping').robustCall({}, (id, url, error) => errors.push(error.status)).then(({data}) => {
+      data.should.deep.equal({_: 'ok'});
+      errors.should.deep.equal([503, 429]);
+      server.requests.length.should.equal(3);
+    });
+  });
+
+  it('rejects statuses that are not retryable at once', function() {
+    server.fail(400);
+    return suite.app('core').method('ping').robustCall({}, () => chai.assert.fail('400 was retried')).then(() => {
+      chai.assert.fail('400 resolved');
+    }, ({status}) => {
+      status.should.equal(400);
+      server.requests.length.should.equal(1);
+    });
+  });
+
+  it('follows the retryable statuses in the robust map', function() {
+    server.fail(503);
+    return suite.setIn(['robust', 'retryStatuses'], Set([429])).app('core').method('ping').robustCall({}, () => null).catch(({status}) => {
+      status.should.equal(503);
+      server.requests.length.should.equal(1);
+    });
+  });
+
+  it('honours Retry-After', function() {
+    server.fail({status: 503, body: {error: 'busy'}, headers: {'Retry-After': '1'}});
+    let failedAt = null;
+    return suite.app('core').method('ping').robustCall({}, () => { failedAt = Date.now(); }).then(() => {
+      (Date.now() - failedAt).should.be.at.least(950);
+    });
+  });
+
+  it('rejects instead of retrying early when Retry-After is past the maximum delay', function() {
+    server.fail({status: 429, body: {error: 'slow down'}, headers: {'Retry-After': '300'}});
+    const budgeted = suite.retryBudget({capacity: 1, refillPerSecond: 0});
+    return budgeted.app('core').method('ping').robustCall({}, () => chai.assert.fail('retried before Retry-After')).then(() => {
+      chai.assert.fail('429 resolved');
+    }, ({status}) => {
+      status.should.equal(429);
+      server.requests.length.should.equal(1);
+      budgeted.getIn(['robust', 'retryBudget']).withdraw().should.equal(true);
+    });
+  });
+
+  it('shares a retry budget between the contexts of a suite', function() {
+    server.fail(503, {times: 4});
+    const budgeted = suite.retryBudget({capacity: 2, refillPerSecond: 0});
+    const ping = budgeted.app('core').method('ping');
+    return ping.robustCall({}, () => null).then(() => {
+      chai.assert.fail('retried beyond the budget');
+    }, ({status}) => {
+      status.should.equal(503);
+      server.requests.length.should.equal(3);
+      return budgeted.app('other').method('ping').robustCall({}, () => chai.assert.fail('retried beyond the budget')).catch(({status}) => {
+        status.should.equal(503);
+      });
+    });
+  });
+
+  it('does not persist the retry budget with a queued request', function() {
+    const queue = new OfflineQueue(new MemoryQueueStorage());
+    const ping = suite.retryBudget({capacity: 1}).app('core').method('ping');
+    return queue.enqueue(42, ping)
+      .then(() => queue.get(42))
+      .then((entry) => {
+        chai.expect(entry.context.robust.retryBudget).to.equal(null);
+        queue.release(42);
+        return queue.replay(ping, () => null);
+      })
+      .then((results) => {
+        results.should.have.length(1);
+        server.requests.length.should.equal(1);
+      });
+  });
+});
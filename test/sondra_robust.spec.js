@@ -1,10 +1,15 @@
 const chai = require('chai');
 const _ = require('lodash');
 const { Sondra } = require('../src/sondra.js');
+const { prontoServer } = require('./pronto.js');
 
 chai.should();
 
 describe('Sondra Robust Calls', function() {
+  const server = prontoServer();
+  before(function() { server.install(); });
+  after(function() { server.uninstall(); });
+
   const pronto = new Sondra().suite('http', 'localhost', 5000);
   const auth = pronto.app('auth');
   const login = auth.method('login');
@@ -47,6 +52,10 @@ describe('Sondra Robust Calls', function() {
 });
 
 describe("Sondra Robust Calls in a Buggy Network", function() {
+  const server = prontoServer();
+  before(function() { server.install(); });
+  after(function() { server.uninstall(); });
+
   const pronto = new Sondra().suite('http', 'localhost', 5000);
   const auth = pronto.app('auth');
   const login = auth.method('login');
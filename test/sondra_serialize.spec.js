@@ -0,0 +1,47 @@
+const chai = require('chai');
+const Immutable = require('immutable');
+const { Sondra, QuerySet, REDACTED } = require('../src/sondra.js');
+const { FakeSondraServer } = require('../src/fakeserver.js');
+
+chai.should();
+
+describe('Sondra context serialization', function() {
+  const server = new FakeSondraServer().collection('core', 'tickets', {documents: [{id: 't1', status: 'open'}, {id: 't2', status: 'closed'}]});
+  const suite = new Sondra().suite('http', 'localhost', 5000).transport(server.fetch);
+  const tickets = suite.auth('secret').app('core').collection('tickets')
+    .format('json', {bare_keys: true})
+    .setIn(['headers', 'X-Client'], 'tests')
+    .setIn(['robust', 'retryStatuses'], Immutable.Set([503]))
+    .query(new QuerySet().eq('status', 'open').limit(10));
+
+  it('round-trips a context through JSON', function() {
+    const restored = Sondra.restore(JSON.stringify(tickets.serialize()));
+    restored.serialize().should.deep.equal(tickets.serialize());
+    restored.get('url').should.equal(tickets.get('url'));
+    restored.query().toJSON().should.deep.equal(tickets.query().toJSON());
+    restored.getIn(['headers', 'Authorization']).should.equal('Bearer secret');
+    Immutable.is(restored.get('params'), tickets.get('params')).should.equal(true);
+    Immutable.is(restored.getIn(['robust', 'retryStatuses']), Immutable.Set([503])).should.equal(true);
+    (restored.get('transport') === null).should.equal(true);
+    restored.document('t1').get('url').should.equal(tickets.document('t1').get('url'));
+  });
+
+  it('takes runtime fields from a live context', function() {
+    const restored = Sondra.restore(tickets.serialize(), suite);
+    restored.get('transport').should.equal(server.fetch);
+    restored.getIn(['robust', 'retryBudget']).should.equal(suite.getIn(['robust', 'retryBudget']));
+    return restored.call().then((docs) => {
+      docs.should.deep.equal([{id: 't1', status: 'open'}]);
+    });
+  });
+
+  it('redacts or excludes auth headers', function() {
+    const redacted = tickets.serialize({auth: 'redact'});
+    redacted.headers.should.deep.equal({Authorization: REDACTED, 'X-Client': 'tests'});
+    tickets.serialize({auth: 'exclude', authHeaders: ['x-client']}).headers.should.deep.equal({Authorization: 'Bearer secret'});
+    (() => tickets.serialize({auth: 'hide'})).should.throw(/auth must be/);
+
+    Sondra.restore(redacted).get('headers').toJS().should.deep.equal({'X-Client': 'tests'});
+    Sondra.restore(redacted, suite.auth('fresh')).getIn(['headers', 'Authorization']).should.equal('Bearer fresh');
+  });
+});
@@ -0,0 +1,172 @@
+const chai = require('chai');
+const { Sondra } = require('../src/sondra.js');
+const { FakeSondraServer } = require('../src/fakeserver.js');
+const { jsonResponse } = require('../src/middleware.js');
+const { AuthError } = require('../src/errors.js');
+const { AuthSession, tokenExpiry } = require('../src/session.js');
+
+chai.should();
+
+// An auth app that issues numbered tokens, in front of an API that accepts only the token issued last.
+function fakeServer(state) {
+  const issue = () => {
+    state.issued += 1;
+    state.accepted = state.renewable = `token${state.issued}`;
+    return state.accepted;
+  };
+  const renew = ({refresh_token}) => {
+    state.renewals += 1;
+    if(state.renewStatus) {
+      return jsonResponse({reason: 'unavailable'}, state.renewStatus);
+    }
+    return refresh_token === state.renewable ? issue() : jsonResponse({reason: 'bad token'}, 403);
+  };
+  const unauthorized = ({app, headers}) => app !== 'auth' && headers.Authorization !== `Bearer ${state.accepted}`;
+
+  return new FakeSondraServer()
+    .method('auth.login', issue)
+    .method('auth.renew', renew)
+    .collection('core', 'tickets')
+    .fail({status: 401, body: {reason: 'expired'}}, {match: unauthorized, times: Infinity});
+}
+
+function jwt(claims) {
+  return ['e30', btoa(JSON.stringify(claims)), 'sig'].join('.');
+}
+
+describe('Sondra auth sessions', function() {
+  const suite = new Sondra().suite('http', 'localhost', 5000);
+  const seen = () => server.requests.filter((r) => r.app === 'core').map((r) => r.headers.Authorization);
+  let state, server, session, tickets;
+
+  beforeEach(function() {
+    state = {issued: 0, renewals: 0, accepted: null, renewable: null, renewStatus: null};
+    server = fakeServer(state).install();
+    session = new AuthSession(suite);
+    tickets = session.attach(suite.app('core').collection('tickets'));
+  });
+
+  afterEach(function() {
+    server.uninstall();
+  });
+
+  it('logs in through the auth app and authorizes requests', function() {
+    return session.login({username: 'jefferson', password: 'secret'})
+      .then((token) => {
+        token.should.equal('token1');
+        return tickets.call();
+      })
+      .then(() => {
+        seen().should.deep.equal(['Bearer token1']);
+      });
+  });
+
+  it('renews the token on a 401 and replays the request once', function() {
+    return session.login({})
+      .then(() => {
+        state.accepted = null;  // token1 has expired on the server
+        return tickets.call();
+      })
+      .then(() => {
+        state.renewals.should.equal(1);
+        seen().should.deep.equal(['Bearer token1', 'Bearer token2']);
+      });
+  });
+
+  it('shares one renewal among concurrent requests', function() {
+    return session.login({})
+      .then(() => {
+        state.accepted = null;
+        return Promise.all([tickets.call(), tickets.call(), tickets.call()]);
+      })
+      .then(() => {
+        state.renewals.should.equal(1);
+        session.token.should.equal('token2');
+      });
+  });
+
+  it('renews proactively before a JWT expires', function() {
+    const soon = jwt({exp: Math.floor(Date.now() / 1000) + 10});
+    session._setToken(soon);
+    state.renewable = soon;
+    return tickets.call().then(() => {
+      state.renewals.should.equal(1);
+      seen().should.deep.equal(['Bearer token1']);
+    });
+  });
+
+  it('emits logout when renewal fails', function() {
+    const events = [];
+    session.on('logout', (e) => events.push(e));
+    return session.login({})
+      .then(() => {
+        state.accepted = state.renewable = null;
+        return tickets.call();
+      })
+      .then(() => {
+        chai.assert.fail('request succeeded without a valid token');
+      }, () => {
+        events.should.deep.equal([{reason: 'refresh failed'}]);
+        session.isLoggedIn().should.be.false;
+      });
+  });
+
+  it('keeps the session when renewal fails for any other reason', function() {
+    const events = [];
+    session.on('logout', (e) => events.push(e));
+    return session.login({})
+      .then(() => {
+        state.accepted = null;
+        state.renewStatus = 503;
+        return tickets.call();
+      })
+      .then(() => {
+        chai.assert.fail('request succeeded without a valid token');
+      }, (err) => {
+        err.status.should.equal(401);
+        events.should.be.empty;
+        session.token.should.equal('token1');
+      });
+  });
+
+  it('rejects a login or renewal whose response holds no token', function() {
+    server.method('auth.login', () => ({access_token: 'abc'}));
+    return session.login({})
+      .then(() => {
+        chai.assert.fail('logged in without a token');
+      }, (err) => {
+        err.should.be.an.instanceof(AuthError);
+        session.isLoggedIn().should.be.false;
+        return new AuthSession(suite, {tokenFrom: (rsp) => rsp.access_token}).login({});
+      })
+      .then((token) => {
+        token.should.equal('abc');
+        session._setToken('token0');
+        server.method('auth.renew', () => ({token: 'token1'}));
+        return session.refresh();
+      })
+      .then(() => {
+        chai.assert.fail('renewed without a token');
+      }, (err) => {
+        err.should.be.an.instanceof(AuthError);
+        session.token.should.equal('token0');
+      });
+  });
+
+  it('sends the request with the current token if a proactive renewal fails', function() {
+    const soon = jwt({exp: Math.floor(Date.now() / 1000) + 10});
+    session._setToken(soon);
+    state.accepted = soon;
+    state.renewStatus = 502;
+    return tickets.call().then(() => {
+      state.renewals.should.equal(1);
+      seen().should.deep.equal([`Bearer ${soon}`]);
+      session.token.should.equal(soon);
+    });
+  });
+
+  it('reads the expiry of a JWT', function() {
+    tokenExpiry(jwt({exp: 1000})).should.equal(1000000);
+    chai.expect(tokenExpiry('opaque')).to.be.null;
+  });
+});
@@ -0,0 +1,133 @@
+const chai = require('chai');
+const { Sondra, QuerySet } = require('../src/sondra.js');
+const { FakeSondraServer } = require('../src/fakeserver.js');
+const { DocumentStore } = require('../src/store.js');
+
+chai.should();
+
+describe('Sondra document store', function() {
+  let server, suite, tickets, store;
+
+  beforeEach(function() {
+    server = new FakeSondraServer().collection('core', 'tickets', {documents: [
+      {id: 't1', status: 'open', priority: 2},
+      {id: 't2', status: 'closed', priority: 1},
+      {id: 't3', status: 'open', priority: 5}
+    ]});
+    suite = new Sondra().suite('http', 'localhost', 5000).transport(server.fetch).storing();
+    tickets = suite.app('core').collection('tickets');
+    store = suite.get('store');
+  });
+
+  it('keeps one copy of each document, fed by responses', function() {
+    return tickets.call().then(() => {
+      store.documents(tickets).keySeq().toArray().should.deep.equal(['t1', 't2', 't3']);
+      const t1 = store.get(tickets, 't1');
+      t1.get('status').should.equal('open');
+      return tickets.fetchDocument('t1').then(() => {
+        store.get(tickets, 't1').should.equal(t1);  // unchanged documents keep their identity
+      });
+    }).then(() => tickets.query(new QuerySet().count()).call())
+      .then(() => suite.app('core').collection('tickets').query(new QuerySet().pluck('id')).call())
+      .then(() => {
+        store.get(tickets, 't2').get('status').should.equal('closed');
+      });
+  });
+
+  it('applies writes made through the document helpers', function() {
+    return tickets.fetchDocument('t1')
+      .then(() => tickets.patchDocument('t1', {status: 'closed'}))
+      .then(() => {
+        store.get(tickets, 't1').toJS().should.deep.equal({id: 't1', status: 'closed', priority: 2});
+        return tickets.createDocument('t4', {status: 'open'});
+      })
+      .then(() => {
+        store.get(tickets, 't4').get('status').should.equal('open');
+        return tickets.deleteDocument('t4');
+      })
+      .then(() => {
+        (store.get(tickets, 't4') === undefined).should.equal(true);
+        return tickets.bulkDelete(['t1'], {endpoint: true});
+      })
+      .then(() => {
+        (store.get(tickets, 't1') === undefined).should.equal(true);
+      });
+  });
+
+  it('does not get in the way of schema requests', function() {
+    server.collection('core', 'tickets', {schema: {type: 'object', required: ['status'], properties: {status: {type: 'string'}}}});
+    return tickets.fetchSchema()
+      .then((schema) => {
+        schema.required.should.deep.equal(['status']);
+        return tickets.validating().createDocument('t4', {status: 'open'});
+      })
+      .then(() => {
+        store.get(tickets, 't4').get('status').should.equal('open');
+        return suite.discover();
+      })
+      .then((discovered) => {
+        discovered.get('api').core.collections.should.deep.equal(['tickets']);
+      });
+  });
+
+  it('notifies watchers of a document only when it changes', function() {
+    const seen = [];
+    const watcher = store.watch(tickets, 't1', (doc) => seen.push(doc && doc.get('status')));
+    (watcher.value === undefined).should.equal(true);
+    return tickets.fetchDocument('t1')
+      .then(() => tickets.fetchDocument('t1'))
+      .then(() => tickets.fetchDocument('t2'))
+      .then(() => tickets.patchDocument('t1', {status: 'closed'}))
+      .then(() => {
+        seen.should.deep.equal(['open', 'closed']);
+        watcher.value.get('status').should.equal('closed');
+        watcher.close();
+        return tickets.deleteDocument('t1');
+      })
+      .then(() => {
+        seen.should.have.length(2);
+      });
+  });
+
+  it('notifies watchers of a query with its result', function() {
+    const results = [];
+    const open = new QuerySet().eq('status', 'open');
+    store.watchQuery(tickets, open, (docs) => results.push(docs.map((d) => d.get('id')).toArray()));
+    const count = store.watchQuery(tickets, open.count());
+    return tickets.call()
+      .then(() => tickets.patchDocument('t3', {priority: 4}))
+      .then(() => tickets.patchDocument('t1', {status: 'closed'}))
+      .then(() => {
+        results.should.deep.equal([['t1', 't3'], ['t1', 't3'], ['t3']]);
+        results[0].should.not.equal(results[1]);
+        count.value.should.equal(1);
+      });
+  });
+
+  it('is shared between contexts and keyed by collection', function() {
+    const shared = new DocumentStore();
+    const other = new Sondra().suite('http', 'localhost', 5000).transport(server.fetch).storing(shared).app('core').collection('tickets');
+    return other.fetchDocument('t2').then(() => {
+      shared.get(tickets, 't2').get('status').should.equal('closed');
+      (shared.get(tickets.set('collection', 'certifications'), 't2') === undefined).should.equal(true);
+      (tickets.storing(false).get('store') === null).should.equal(true);
+    });
+  });
+
+  it('applies changes from changefeeds', function() {
+    let socket = null;
+    function FakeWebSocket() { socket = this; }
+    FakeWebSocket.prototype.send = () => {};
+    FakeWebSocket.prototype.close = () => {};
+
+    const changes = [];
+    const sub = tickets.setIn(['changefeed', 'WebSocket'], FakeWebSocket).subscribe({change: (event) => changes.push(event.type)});
+    socket.onopen();
+    socket.onmessage({data: JSON.stringify({seq: 1, old_val: null, new_val: {id: 't9', status: 'open'}})});
+    store.get(tickets, 't9').get('status').should.equal('open');
+    socket.onmessage({data: JSON.stringify({seq: 2, old_val: {id: 't9', status: 'open'}, new_val: null})});
+    (store.get(tickets, 't9') === undefined).should.equal(true);
+    changes.should.deep.equal(['insert', 'delete']);
+    sub.close();
+  });
+});
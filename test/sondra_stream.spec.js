@@ -0,0 +1,140 @@
+const chai = require('chai');
+const Promise = require('bluebird');
+const { Sondra, QuerySet } = require('../src/sondra.js');
+const { FakeSondraServer } = require('../src/fakeserver.js');
+const { JsonArrayParser, NdjsonParser } = require('../src/stream.js');
+const { nodeTransport } = require('../src/transport.js');
+const { CancelledError, NotFoundError } = require('../src/errors.js');
+
+chai.should();
+
+const collect = (stream, docs = []) => stream.next().then(({done, value}) => (done ? docs : collect(stream, docs.concat([value]))));
+
+describe('Sondra streaming reads', function() {
+  it('parses JSON arrays and NDJSON split across chunks', function() {
+    const parser = new JsonArrayParser();
+    const values = [' [{"a": "x,]\\"', '}"}, [1, [2]', '],', ' 3, "s"', ']  '].map((chunk) => parser.push(chunk));
+    values.should.deep.equal([[], [{a: 'x,]"}'}], [[1, [2]]], [3], ['s']]);
+    parser.end().should.deep.equal([]);
+    (() => new JsonArrayParser().push('{"a": 1}')).should.throw(/Expected a JSON array/);
+    (() => { const p = new JsonArrayParser(); p.push('[1,'); p.end(); }).should.throw(/ended early/);
+
+    const ndjson = new NdjsonParser();
+    ndjson.push('{"a":1}\n{"a"').should.deep.equal([{a: 1}]);
+    ndjson.push(':2}\n\n{"a":3}').should.deep.equal([{a: 2}]);
+    ndjson.end().should.deep.equal([{a: 3}]);
+  });
+
+  it('reads responses without a body stream in one piece', function() {
+    const server = new FakeSondraServer().collection('core', 'tickets', {documents: [{id: 't1'}, {id: 't2'}, {id: 't3'}]});
+    const tickets = new Sondra().suite('http', 'localhost', 5000).transport(server.fetch).app('core').collection('tickets');
+    return collect(tickets.stream(new QuerySet().start(1))).then((docs) => {
+      docs.should.deep.equal([{id: 't2'}, {id: 't3'}]);
+      return tickets.document('t9').stream().next().catch((err) => err);
+    }).then((err) => {
+      err.should.be.an.instanceof(NotFoundError);
+    });
+  });
+
+  (typeof ReadableStream === 'function' ? describe : describe.skip)('from a ReadableStream', function() {
+    let chunks, pulled, tickets;
+
+    beforeEach(function() {
+      chunks = ['[{"id": 1}, {"id"', ': 2}, {"id": 3}', ', {"id": 4}]'];
+      pulled = 0;
+      const encoder = new TextEncoder();
+      const body = () => new ReadableStream({
+        pull: (controller) => {
+          if(pulled === chunks.length) {
+            return controller.close();
+          }
+          const chunk = chunks[pulled];
+          pulled += 1;
+          return chunk === null ? new Promise(() => {}) : controller.enqueue(encoder.encode(chunk));
+        }
+      }, {highWaterMark: 0});
+      const transport = () => Promise.resolve({
+        ok: true,
+        status: 200,
+        headers: {get: (name) => ({'content-type': 'application/json', 'content-length': '44'})[name.toLowerCase()] || null},
+        body: body()
+      });
+      tickets = new Sondra().suite('http', 'localhost', 5000).transport(transport).app('core').collection('tickets');
+    });
+
+    it('yields documents as chunks arrive, reading only as they are consumed', function() {
+      const progress = [];
+      const stream = tickets.stream(null, {onProgress: (p) => progress.push(p)});
+      return stream.next().then(({value}) => {
+        value.should.deep.equal({id: 1});
+        pulled.should.equal(1);
+        return stream.next();
+      }).then(({value}) => {
+        value.id.should.equal(2);
+        pulled.should.equal(2);
+        return collect(stream);
+      }).then((rest) => {
+        rest.should.deep.equal([{id: 3}, {id: 4}]);
+        progress.map((p) => p.documents).should.deep.equal([1, 2, 4, 4]);  // an element is complete at the next delimiter
+        stream.progress().should.deep.equal({documents: 4, bytes: 44, total: 44});
+      });
+    });
+
+    it('cancels a read that is waiting for the server', function() {
+      chunks = ['[{"id": 1},', null];
+      const stream = tickets.stream();
+      return stream.next().then(() => {
+        const waiting = stream.next();
+        setTimeout(() => stream.cancel(), 10);
+        return waiting.then(() => chai.assert.fail('cancelled read resolved'), (err) => err);
+      }).then((err) => {
+        err.should.be.an.instanceof(CancelledError);
+        return stream.next();
+      }).then(({done}) => {
+        done.should.equal(true);
+      });
+    });
+  });
+
+  const inNode = typeof process !== 'undefined' && process.versions && process.versions.node;
+
+  (inNode ? describe : describe.skip)('with Node http', function() {
+    const http = inNode ? require('http') : null;
+    let httpServer, tickets;
+
+    before(function(done) {
+      httpServer = http.createServer((req, res) => {
+        res.writeHead(200, {'Content-Type': 'application/x-ndjson'});
+        let n = 0;
+        const write = () => {
+          n += 1;
+          if(n > 5) {
+            return res.end();
+          }
+          res.write(`{"id": ${n}}\n`);
+          setTimeout(write, 5);
+        };
+        write();
+      });
+      httpServer.listen(0, '127.0.0.1', () => {
+        tickets = new Sondra().suite('http', '127.0.0.1', httpServer.address().port).transport(nodeTransport()).app('core').collection('tickets');
+        done();
+      });
+    });
+
+    after(function(done) {
+      httpServer.close(done);
+    });
+
+    it('streams NDJSON into a Node Readable', function(done) {
+      const ids = [];
+      tickets.stream().toNodeStream({highWaterMark: 2})
+        .on('data', (doc) => ids.push(doc.id))
+        .on('error', done)
+        .on('end', () => {
+          ids.should.deep.equal([1, 2, 3, 4, 5]);
+          done();
+        });
+    });
+  });
+});
@@ -0,0 +1,144 @@
+const chai = require('chai');
+const sinon = require('sinon');
+const { Sondra } = require('../src/sondra.js');
+const { FakeSondraServer } = require('../src/fakeserver.js');
+const { nodeTransport, fetchTransport } = require('../src/transport.js');
+const { alwaysOnline, navigatorConnectivity } = require('../src/connectivity.js');
+const { CancelToken } = require('../src/cancellation.js');
+const { NetworkError, NotFoundError, CancelledError } = require('../src/errors.js');
+
+chai.should();
+
+describe('Sondra transports', function() {
+  const server = new FakeSondraServer().collection('core', 'tickets', {documents: [{id: 't1', status: 'open'}]});
+  const suite = new Sondra().suite('http', 'localhost', 5000).setIn(['robust', 'refetchDelay'], 5).transport(server.fetch);
+  const tickets = suite.app('core').collection('tickets');
+
+  beforeEach(function() {
+    sinon.stub(window, 'fetch', () => Promise.reject(new Error('window.fetch should not be used')));
+  });
+
+  afterEach(function() {
+    window.fetch.restore();
+    server.goOnline();
+  });
+
+  it('sends calls and robustCalls through the context transport', function() {
+    return tickets.fetchDocument('t1').then((doc) => {
+      doc.status.should.equal('open');
+      return tickets.robustCall();
+    }).then(({data}) => {
+      data.should.have.length(1);
+      window.fetch.called.should.equal(false);
+    });
+  });
+
+  it('wraps a fetch implementation', function() {
+    return tickets.transport(fetchTransport(server.fetch)).call().then((rsp) => {
+      rsp.should.have.length(1);
+    });
+  });
+
+  it('asks the connectivity detector before robustCall sends', function() {
+    const checks = [];
+    const detector = (ping, url) => { checks.push(url); return ping(); };
+    return tickets.connectivity(detector).robustCall().then(() => {
+      checks.should.deep.equal(['http://localhost:5000/ping']);
+    });
+  });
+
+  it('skips the ping when always online', function() {
+    server.goOffline();
+    return tickets.connectivity(alwaysOnline()).robustCall({}, () => null, 'fail').then(() => {
+      chai.assert.fail('request to an offline server resolved');
+    }, (err) => {
+      err.should.be.an.instanceof(NetworkError);
+      err.method.should.equal('GET');
+    });
+  });
+
+  it('waits while the navigator reports no network', function() {
+    const navigator = {onLine: false};
+    const errors = [];
+    setTimeout(() => { navigator.onLine = true; }, 30);
+    return tickets.connectivity(navigatorConnectivity(navigator)).robustCall({}, (id, url, error) => errors.push(error)).then(({data}) => {
+      data.should.have.length(1);
+      errors.should.not.be.empty;
+      errors[0].should.be.an.instanceof(NetworkError);
+      errors[0].url.should.equal('http://localhost:5000/ping');
+    });
+  });
+});
+
+const inNode = typeof process !== 'undefined' && process.versions && process.versions.node;
+
+(inNode ? describe : describe.skip)('Sondra node transport', function() {
+  const http = inNode ? require('http') : null;
+  let httpServer, suite;
+  const received = [];
+
+  before(function(done) {
+    httpServer = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', (chunk) => { body += chunk; });
+      req.on('end', () => {
+        received.push({method: req.method, url: req.url, body, authorization: req.headers.authorization});
+        if(req.url.indexOf('/slow') >= 0) {
+          return;
+        }
+        res.writeHead(req.url.indexOf('/missing') >= 0 ? 404 : 200, {'Content-Type': 'application/json', 'ETag': '"v1"'});
+        res.end(JSON.stringify(req.url.indexOf('/missing') >= 0 ? {error: 'NotFound'} : {_: 'ok'}));
+      });
+    });
+    httpServer.listen(0, '127.0.0.1', () => {
+      suite = new Sondra().suite('http', '127.0.0.1', httpServer.address().port).transport(nodeTransport()).auth('token');
+      done();
+    });
+  });
+
+  after(function(done) {
+    httpServer.close(done);
+  });
+
+  it('sends requests with Node http', function() {
+    return suite.app('core').method('assign').call({body: {who: 'jefferson'}}).then((rsp) => {
+      rsp.should.deep.equal({_: 'ok'});
+      const last = received[received.length - 1];
+      last.method.should.equal('POST');
+      last.url.should.equal('/api/core.assign;format=json');
+      JSON.parse(last.body).should.deep.equal({who: 'jefferson'});
+      last.authorization.should.equal('Bearer token');
+    });
+  });
+
+  it('reports error statuses and response headers', function() {
+    const headers = [];
+    const recordETag = (request, next) => next(request).then((rsp) => { headers.push(rsp.headers.get('ETag')); return rsp; });
+    return suite.use(recordETag).app('core').collection('missing').call().then(() => {
+      chai.assert.fail('404 resolved');
+    }, (err) => {
+      err.should.be.an.instanceof(NotFoundError);
+      err.payload.should.deep.equal({error: 'NotFound'});
+      headers.should.deep.equal(['"v1"']);
+    });
+  });
+
+  it('stops listening to the abort signal once a request settles', function() {
+    const signal = new CancelToken();
+    const transport = nodeTransport();
+    const url = `http://127.0.0.1:${httpServer.address().port}/api/core;format=json`;
+    return transport(url, {method: 'GET', signal}).then(() => {
+      signal.listeners.should.be.empty;
+    });
+  });
+
+  it('aborts requests', function() {
+    const token = new CancelToken();
+    setTimeout(() => token.cancel(), 20);
+    return suite.app('core').collection('slow').call({signal: token}).then(() => {
+      chai.assert.fail('cancelled request resolved');
+    }, (err) => {
+      err.should.be.an.instanceof(CancelledError);
+    });
+  });
+});
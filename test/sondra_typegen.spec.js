@@ -0,0 +1,104 @@
+const chai = require('chai');
+const Promise = require('bluebird');
+const { Sondra } = require('../src/sondra.js');
+const { FakeSondraServer } = require('../src/fakeserver.js');
+const { fetchSchemas, bundleSchemas, generateTypes, schemaType, parseSuiteUrl, runCli } = require('../src/typegen.js');
+
+chai.should();
+
+const ticketSchema = {
+  description: 'A support ticket.',
+  required: ['id', 'title'],
+  properties: {
+    id: {type: 'string'},
+    title: {type: 'string', description: 'One line summary.'},
+    status: {enum: ['open', 'closed']},
+    priority: {type: ['integer', 'null']},
+    tags: {type: 'array', items: {type: 'string'}},
+    'due-date': {type: 'string', format: 'date-time'},
+    assignee: {$ref: '#/definitions/person'}
+  },
+  definitions: {person: {type: 'object', properties: {name: {type: 'string'}}, additionalProperties: false}}
+};
+
+describe('Sondra type generation', function() {
+  const server = new FakeSondraServer()
+    .collection('core', 'tickets', {schema: ticketSchema})
+    .method('core/tickets.assign', () => 'ok', {request: {type: 'object', properties: {to: {type: 'string'}}, required: ['to']}, response: {type: 'string'}})
+    .method('core/tickets/*.close', () => 'ok')
+    .method('auth.login', () => 'token', {type: 'object', properties: {username: {type: 'string'}}});
+  const suite = new Sondra().suite('http', 'localhost', 5000).transport(server.fetch);
+
+  it('converts JSON Schema to TypeScript types', function() {
+    schemaType({type: 'array', items: {anyOf: [{type: 'number'}, {type: 'string'}]}}).should.equal('Array<number | string>');
+    schemaType({type: 'object', additionalProperties: {type: 'boolean'}}).should.equal('{\n  [key: string]: boolean;\n}');
+    schemaType({allOf: [{$ref: '#/definitions/a'}, {type: 'null'}], definitions: {a: {$ref: '#/definitions/a'}}}).should.equal('(any) & (null)');
+    schemaType(ticketSchema.properties.assignee, ticketSchema, '  ').should.equal('{\n    name?: string;\n  }');
+    schemaType({}).should.equal('any');
+  });
+
+  it('fetches every schema of a suite into a bundle', function() {
+    return fetchSchemas(suite.app('core').collection('tickets')).then((bundle) => {
+      bundle.apps.should.have.keys('auth', 'core');
+      bundle.apps.auth.methods.login.properties.should.have.key('username');
+      const tickets = bundle.apps.core.collections.tickets;
+      tickets.schema.primary_key.should.equal('id');
+      tickets.methods.assign.response.should.deep.equal({type: 'string'});
+      tickets.documentMethods.close.should.deep.equal({type: 'object'});
+    });
+  });
+
+  it('generates definitions for documents, methods and typed contexts', function() {
+    return fetchSchemas(suite).then((bundle) => {
+      const types = generateTypes(bundle, {source: 'http://localhost:5000/api'});
+      types.should.match(/^\/\/ Generated by sondra-typegen from http:\/\/localhost:5000\/api\. Do not edit\./);
+      types.should.contain('export namespace Core {');
+      types.should.contain('  /** A support ticket. */\n  export interface TicketsDocument {\n    id: string;\n');
+      types.should.contain('    /** One line summary. */\n    title: string;\n');
+      types.should.contain('    status?: "open" | "closed";\n    priority?: number | null;\n    tags?: Array<string>;\n    "due-date"?: string;\n');
+      types.should.contain('    assign: SondraMethod<{\n      to: string;\n      [key: string]: any;\n    }, string>;');
+      types.should.contain('  export type TicketsCollection = SondraCollection<TicketsDocument, string, TicketsMethods, TicketsDocumentMethods>;');
+      types.should.contain('  export interface Collections {\n    tickets: TicketsCollection;\n  }');
+      types.should.contain('    login: SondraMethod<{\n      username?: string;\n      [key: string]: any;\n    }, any>;');
+      types.should.contain('export interface Apps {\n  core: Core.App;\n  auth: Auth.App;\n}');
+      types.should.contain('export type Suite = SondraSuite<Apps, SuiteMethods>;');
+    });
+  });
+
+  it('generates the same definitions offline from saved schemas', function() {
+    const files = {};
+    const io = {
+      readFile: (name) => Promise.resolve(files[name]),
+      writeFile: (name, text) => { files[name] = text; },
+      print: (text) => { files.stdout = text; },
+      suite: (url) => new Sondra().suite(url.protocol, url.host, url.port, url.basePath).transport(server.fetch)
+    };
+
+    return runCli(['http://localhost:5000/api', '--save', 'schemas.json', '--out', 'live.d.ts'], io).then((status) => {
+      status.should.equal(0);
+      return runCli(['schemas.json'], io);
+    }).then(() => {
+      files.stdout.should.equal(files['live.d.ts'].replace('http://localhost:5000/api', 'schemas.json'));
+
+      return Promise.props({app: suite.app('core').fetchSchema(), tickets: suite.app('core').collection('tickets').fetchSchema()});
+    }).then(({app, tickets}) => {
+      files['saved/core.json'] = JSON.stringify(app);
+      files['saved/core.tickets.json'] = JSON.stringify(tickets);
+      return runCli(['saved/core.json', 'saved/core.tickets.json'], io);
+    }).then(() => {
+      files.stdout.should.contain('export interface TicketsDocument {\n    id: string;\n');
+      files.stdout.should.contain('  export interface TicketsMethods {\n    assign: SondraMethod<any, any>;\n  }');
+      (() => bundleSchemas({'a.b.c.json': {}})).should.throw(/Cannot tell which schema/);
+      return runCli([], io);
+    }).then((status) => {
+      status.should.equal(2);
+      files.stdout.should.match(/^usage: sondra-typegen/);
+    });
+  });
+
+  it('parses suite URLs', function() {
+    parseSuiteUrl('https://example.com/v1/api').should.deep.equal({protocol: 'https', host: 'example.com', port: '443', basePath: ['v1', 'api']});
+    parseSuiteUrl('http://localhost:5000').should.deep.equal({protocol: 'http', host: 'localhost', port: '5000', basePath: ['api']});
+    (() => parseSuiteUrl('localhost')).should.throw(/Not a suite URL/);
+  });
+});
@@ -0,0 +1,95 @@
+const chai = require('chai');
+const { List, OrderedMap } = require('immutable');
+const { Sondra, QuerySet } = require('../src/sondra.js');
+
+chai.should();
+
+// A small seeded generator, so that failures can be reproduced.
+const random = (seed) => () => {
+  seed = (seed * 16807) % 2147483647;
+  return (seed - 1) / 2147483646;
+};
+
+const generators = (next) => {
+  const pick = (list) => list[Math.floor(next() * list.length)];
+  const maybe = (f) => (next() < 0.5 ? f() : null);
+  const name = () => pick(['core', 'auth', 'tickets', 'user_profiles', 'a1', 'Widgets']);
+  const key = () => pick(['t1', '42', 'ab-cd', 'x_y', 'Ünïcode', 'with space']);
+  const value = () => pick(['open', 3, true, 'a&b', 'x=y', '100%', '{"json": [1]}']);
+
+  const querySet = () => {
+    let q = new QuerySet();
+    q = maybe(() => q.eq(pick(['status', 'owner']), value())) || q;
+    q = maybe(() => q.gt('priority', Math.floor(next() * 10))) || q;
+    q = maybe(() => q.forKeys([key(), key()], maybe(() => 'by_owner'))) || q;
+    q = maybe(() => q.getNearest({type: 'Point', coordinates: [next() * 90, next() * 45]}, {maxDistance: 5, unit: 'km'})) || q;
+    q = maybe(() => q.start(Math.floor(next() * 100))) || q;
+    q = maybe(() => q.end(Math.floor(next() * 100) + 1)) || q;
+    q = maybe(() => q.limit(Math.floor(next() * 100) + 1)) || q;
+    return q;
+  };
+
+  return () => {
+    let context = new Sondra().suite(pick(['http', 'https']), pick(['localhost', 'www.365pronto.com', '10.0.0.1']), pick([80, 443, 5000]));
+    context = maybe(() => context.set('basePath', List(['v1', 'api'])).calculateUrl()) || context;
+    const depth = Math.floor(next() * 4);
+    context = depth > 0 ? context.app(name()) : context;
+    context = depth > 1 ? context.collection(name()) : context;
+    context = depth > 2 ? context.document(key()) : context;
+    context = maybe(() => context.method(pick(['assign', 'close', 'login']))) || context;
+    context = maybe(() => context.format(pick(['json', 'geojson', 'csv']), maybe(() => ({bare_keys: value()})) || {})) || context;
+    context = maybe(() => context.set('body', OrderedMap({q: value(), page: value()}))) || context;
+    return context.requestMethod('GET').query(querySet());
+  };
+};
+
+describe('Sondra URL parsing', function() {
+  it('parses every part of a URL', function() {
+    const context = Sondra.fromUrl('http://localhost:5000/api/core/tickets/t1.close;format=csv;bare_keys=true');
+    context.toObject().should.include({protocol: 'http', host: 'localhost', port: '5000', app: 'core', collection: 'tickets', document: 't1', method: 'close', requestMethod: 'POST'});
+    context.get('params').toJS().should.deep.equal({format: 'csv', bare_keys: 'true'});
+
+    const query = Sondra.fromUrl('https://example.com/api/core/tickets?status=open&keys=%5B%22t1%22%5D&index=owner&start=10&limit=5');
+    query.get('port').should.equal('443');
+    query.query().toJSON().should.deep.equal({keys: ['t1'], index: 'owner', start: 10, limit: 5});
+    query.get('body').toJS().should.deep.equal({status: 'open'});
+    query.get('url').should.equal('https://example.com:443/api/core/tickets;format=json');
+    Sondra.fromUrl('http://localhost:5000/api/core/tickets?start=2&end=10').query().toJSON().should.deep.equal({start: 2, end: 10});
+
+    const encoded = Sondra.fromUrl('http://localhost:5000/api/core/tickets/with%20space.close');
+    encoded.toObject().should.include({document: 'with space', method: 'close'});
+
+    Sondra.fromUrl('http://localhost:5000/api.login;format=json').toObject().should.include({app: null, method: 'login'});
+    Sondra.fromUrl('http://localhost:5000/v1/api/core', {basePath: ['v1', 'api']}).get('app').should.equal('core');
+    (() => Sondra.fromUrl('ftp://localhost/api')).should.throw(/Not a Sondra URL/);
+    (() => Sondra.fromUrl('http://localhost/v2/core')).should.throw(/not under the base path/);
+    (() => Sondra.fromUrl('http://localhost/api/a/b/c/d')).should.throw(/more path segments/);
+  });
+
+  it('round-trips the URLs of generated contexts', function() {
+    const next = random(20161019);
+    const generate = generators(next);
+    for(let i = 0; i < 200; i++) {
+      const context = generate();
+      const basePath = context.get('basePath').toArray();
+      const url = context.get('url');
+      const request = context._prepareRequest().url;
+
+      const fromUrl = Sondra.fromUrl(url, {basePath});
+      fromUrl.get('url').should.equal(url, `${url} (case ${i})`);
+      ['protocol', 'host', 'app', 'collection', 'document', 'method'].forEach((field) => {
+        chai.expect(fromUrl.get(field)).to.equal(context.get(field), `${field} of ${url}`);
+      });
+
+      const document = context.get('document');
+      if(document) {  // as a browser would encode it
+        const encoded = url.replace(`/${document}`, `/${encodeURIComponent(document)}`);
+        Sondra.fromUrl(encoded, {basePath}).get('document').should.equal(document, encoded);
+      }
+
+      const fromRequest = Sondra.fromUrl(request, {basePath}).requestMethod('GET');
+      fromRequest._prepareRequest().url.should.equal(request, `case ${i}`);
+      fromRequest.query().toJSON().should.deep.equal(context.query().toJSON(), request);
+    }
+  });
+});
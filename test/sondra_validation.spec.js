@@ -0,0 +1,132 @@
+const chai = require('chai');
+const { Sondra } = require('../src/sondra.js');
+const { FakeSondraServer } = require('../src/fakeserver.js');
+const { validate } = require('../src/validation.js');
+const { ValidationError } = require('../src/errors.js');
+
+chai.should();
+
+const ticketSchema = {
+  type: 'object',
+  required: ['title', 'status'],
+  properties: {
+    title: {type: 'string', minLength: 1},
+    status: {$ref: '#/definitions/status'},
+    priority: {type: 'integer', minimum: 1, maximum: 5},
+    tags: {type: 'array', items: {type: 'string'}}
+  },
+  additionalProperties: false,
+  definitions: {
+    status: {type: 'string', enum: ['open', 'closed']}
+  }
+};
+
+const assignSchema = {
+  request: {type: 'object', required: ['user'], properties: {user: {type: 'string'}}}
+};
+
+const closeSchema = {
+  request: {type: 'object', properties: {reason: {type: 'string'}}}
+};
+
+describe('JSON Schema validation', function() {
+  it('reports every field error with its path', function() {
+    const errors = validate(ticketSchema, {status: 'pending', priority: 9, tags: ['a', 2], owner: 'me'});
+    errors.map((e) => e.path).sort().should.deep.equal(['owner', 'priority', 'status', 'tags.1', 'title']);
+  });
+
+  it('does not require fields in a partial document', function() {
+    validate(ticketSchema, {priority: 2}, {partial: true}).should.be.empty;
+    validate(ticketSchema, {priority: 0}, {partial: true}).should.have.length(1);
+  });
+});
+
+describe('Sondra validating writes', function() {
+  const tickets = new Sondra().suite('http', 'localhost', 5000).validating().app('core').collection('tickets');
+  const sent = () => server.requests.filter((r) => r.format === 'json').map(({url, requestMethod}) => ({url, requestMethod}));
+  const schemaRequests = () => server.requests.filter((r) => r.format === 'schema').length;
+  let server;
+
+  beforeEach(function() {
+    server = new FakeSondraServer()
+      .collection('core', 'tickets', {schema: ticketSchema, documents: [{id: 't1', title: 'Broken', status: 'open'}, {id: 't2', title: 'Also broken', status: 'open'}]})
+      .method('core/tickets.assign', () => 'ok', assignSchema)
+      .method('core/tickets/*.close', () => 'ok', closeSchema)
+      .install();
+  });
+
+  afterEach(function() {
+    server.uninstall();
+  });
+
+  it('rejects an invalid document before sending it', function() {
+    return tickets.createDocument('t1', {title: ''}).then(() => {
+      chai.assert.fail('invalid document was created');
+    }, (err) => {
+      err.should.be.an.instanceof(ValidationError);
+      err.status.should.equal(0);
+      err.method.should.equal('POST');
+      err.errors.should.deep.equal([
+        {path: 'status', message: 'is required'},
+        {path: 'title', message: 'should be at least 1 characters long'}
+      ]);
+      sent().should.be.empty;
+    });
+  });
+
+  it('validates patches partially and caches the schema', function() {
+    const fresh = tickets.validating();
+    return fresh.patchDocument('t1', {status: 'closed'})
+      .then(() => fresh.replaceDocument('t1', {title: 'Broken', status: 'open'}))
+      .then(() => {
+        sent().should.deep.equal([
+          {url: 'http://localhost:5000/api/core/tickets/t1;format=json', requestMethod: 'PATCH'},
+          {url: 'http://localhost:5000/api/core/tickets/t1;format=json', requestMethod: 'PUT'}
+        ]);
+        schemaRequests().should.equal(1);
+      });
+  });
+
+  it('validates method arguments against the request schema', function() {
+    return tickets.method('assign').call({body: {user: 5}}).then(() => {
+      chai.assert.fail('invalid method call was sent');
+    }, (err) => {
+      err.errors.should.deep.equal([{path: 'user', message: 'should be of type string'}]);
+      return tickets.method('assign').call({body: {user: 'jefferson'}});
+    }).then((rsp) => {
+      rsp._.should.equal('ok');
+    });
+  });
+
+  it('fetches the schema of a document method once for every document', function() {
+    const fresh = tickets.validating();
+    return fresh.document('t1').method('close').call({body: {reason: 'fixed'}})
+      .then(() => fresh.document('t2').method('close').call({body: {reason: 'duplicate'}}))
+      .then(() => {
+        sent().should.have.length(2);
+        schemaRequests().should.equal(1);
+      });
+  });
+
+  it('validates robust calls once, before the first attempt', function() {
+    const robust = tickets.connectivity(() => Promise.resolve());
+    return robust.method('assign').robustCall({body: {user: 5}}, () => null).then(() => {
+      chai.assert.fail('invalid method call was sent');
+    }, (err) => {
+      err.should.be.an.instanceof(ValidationError);
+      err.errors.should.deep.equal([{path: 'user', message: 'should be of type string'}]);
+      sent().should.be.empty;
+      return robust.method('assign').robustCall({body: {user: 'jefferson'}}, () => null);
+    }).then(({data}) => {
+      data._.should.equal('ok');
+      sent().should.have.length(1);
+    });
+  });
+
+  it('does not validate unless asked to', function() {
+    return tickets.validating(false).createDocument('t3', {title: ''}).then(() => {
+      sent().should.have.length(1);
+      schemaRequests().should.equal(0);
+    });
+  });
+});